@@ -0,0 +1,126 @@
+/**
+ * Server-side Auth Helpers
+ * Shared by the serverless functions in api/ (files under api/_lib are not
+ * deployed as endpoints): checking the caller's Clerk session and using
+ * the Firebase Admin SDK.
+ *
+ * Environment:
+ *   CLERK_SECRET_KEY            Clerk secret key (Clerk Dashboard → API Keys)
+ *   FIREBASE_SERVICE_ACCOUNT    service account key JSON (Firebase Console →
+ *                               Project Settings → Service accounts)
+ */
+
+import { createClerkClient, verifyToken } from '@clerk/backend';
+import { cert, getApps, initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { ADMIN_ROLES, normalizeRole } from '../../src/auth/roles.js';
+
+/**
+ * An error with the HTTP status to answer with
+ */
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Clerk's Backend API client
+ * @returns {Object}
+ */
+export function clerkClient() {
+    if (!process.env.CLERK_SECRET_KEY) throw new HttpError(503, 'Clerk is not configured on the server');
+    return createClerkClient({ secretKey: process.env.CLERK_SECRET_KEY });
+}
+
+/**
+ * Firebase Admin services, initialised once per instance
+ * @returns {{auth: import('firebase-admin/auth').Auth, db: import('firebase-admin/firestore').Firestore}}
+ */
+export function firebaseAdmin() {
+    if (!process.env.FIREBASE_SERVICE_ACCOUNT) throw new HttpError(503, 'Firebase Admin is not configured on the server');
+    const app = getApps()[0] || initializeApp({ credential: cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)) });
+    return { auth: getAuth(app), db: getFirestore(app) };
+}
+
+// The role clerkProvider.getUser() reports in the browser
+// (src/auth/clerk-auth.js), worked out from Clerk's own records
+async function clerkRole(clerk, user) {
+    const role = user.publicMetadata?.role || null;
+    if (!ADMIN_ROLES.includes(role)) {
+        const { data } = await clerk.users.getOrganizationMembershipList({ userId: user.id });
+        if (data.some(membership => ADMIN_ROLES.includes(membership.role))) return 'admin';
+    }
+    return normalizeRole(role || 'member');
+}
+
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+    if (!token) throw new HttpError(401, 'Sign in first');
+    return token;
+}
+
+/**
+ * The Clerk user behind the request's `Authorization: Bearer <session token>`
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<{user: Object, sessionId: string, role: string, clerk: Object}>}
+ * @throws {HttpError} 401 without a valid session
+ */
+export async function clerkCaller(req) {
+    const token = bearerToken(req);
+
+    const clerk = clerkClient();
+    let payload;
+    try {
+        payload = await verifyToken(token, { secretKey: process.env.CLERK_SECRET_KEY });
+    } catch {
+        throw new HttpError(401, 'The session is not valid');
+    }
+
+    const user = await clerk.users.getUser(payload.sub);
+    return { user, sessionId: payload.sid, role: await clerkRole(clerk, user), clerk };
+}
+
+/**
+ * The Firebase Auth user behind the request's `Authorization: Bearer <ID
+ * token>`, held to what the rules ask of them (isVerified() in
+ * firestore.rules). Covers both staff bridged in from Clerk and staff with
+ * their own Firebase accounts.
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<{uid: string, claims: Object, role: string}>}
+ * @throws {HttpError} 401 without a valid, unrevoked token
+ */
+export async function firebaseCaller(req) {
+    const token = bearerToken(req);
+
+    const { auth } = firebaseAdmin();
+    let claims;
+    try {
+        claims = await auth.verifyIdToken(token, true);
+    } catch {
+        throw new HttpError(401, 'The session is not valid');
+    }
+    if (claims.email_verified !== true && claims.firebase?.sign_in_provider !== 'custom') {
+        throw new HttpError(401, 'The session is not valid');
+    }
+
+    return { uid: claims.uid, claims, role: normalizeRole(claims.role || 'member') };
+}
+
+/**
+ * Answer with the error's status, or 500 for anything unexpected
+ * @param {import('http').ServerResponse} res
+ * @param {Error} error
+ */
+export function sendError(res, error) {
+    if (error instanceof HttpError) {
+        res.status(error.status).json({ error: error.message });
+        return;
+    }
+    console.error('[API]', error);
+    res.status(500).json({ error: 'Something went wrong' });
+}
@@ -0,0 +1,31 @@
+/**
+ * POST /api/firebase-token
+ * Exchanges a Clerk session for a Firebase custom token, so staff who sign
+ * in with Clerk also have the Firebase Auth identity the Firestore and
+ * Storage rules check. The token's uid is the Clerk user id and its `role`
+ * claim is the user's role, read from Clerk on the server.
+ *
+ *   Authorization: Bearer <Clerk session token>
+ *   -> 200 { token }
+ *
+ * Used by src/auth/firebase-bridge.js.
+ */
+
+import { clerkCaller, firebaseAdmin, sendError } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        const { user, role } = await clerkCaller(req);
+        const token = await firebaseAdmin().auth.createCustomToken(user.id, { role });
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ token });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * POST /api/revoke-session
+ * Signs a staff session out remotely, for user managers (users:manage).
+ * Revokes the Clerk session recorded on the sessions entry, once Clerk
+ * confirms it belongs to the entry's user, and the user's Firebase refresh
+ * tokens, so that browser loses Firestore and Storage access whether or not
+ * it notices; then marks the entry revoked for the admin pages still open
+ * there (src/auth/sessions.js).
+ *
+ *   Authorization: Bearer <Firebase ID token>
+ *   { sessionId }   id of the sessions/{sessionId} entry
+ *   -> 200 { revoked: true }
+ */
+
+import { roleCan } from '../src/auth/roles.js';
+import { HttpError, clerkClient, firebaseAdmin, firebaseCaller, sendError } from './_lib/auth.js';
+
+// Who is revoking, as the CMS stores authors; bridged staff have no email
+// or name on their Firebase token, so those come from Clerk
+async function revoker({ uid, claims }) {
+    if (claims.firebase?.sign_in_provider !== 'custom') {
+        return { id: uid, email: claims.email || null, name: claims.name || null };
+    }
+    const user = await clerkClient().users.getUser(uid);
+    return { id: uid, email: user.primaryEmailAddress?.emailAddress || null, name: user.fullName || null };
+}
+
+async function revokeClerkSession(clerkSessionId, uid) {
+    const clerk = clerkClient();
+    const session = await clerk.sessions.getSession(clerkSessionId).catch(() => null);
+    if (!session || session.userId !== uid) {
+        throw new HttpError(409, 'The session entry does not match its Clerk session');
+    }
+    await clerk.sessions.revokeSession(clerkSessionId);
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        const caller = await firebaseCaller(req);
+        if (!roleCan(caller.role, 'users:manage')) throw new HttpError(403, 'Only user managers can sign sessions out');
+
+        const sessionId = req.body?.sessionId;
+        if (typeof sessionId !== 'string' || !sessionId) throw new HttpError(400, 'sessionId is required');
+
+        const { auth, db } = firebaseAdmin();
+        const ref = db.collection('sessions').doc(sessionId);
+        const snapshot = await ref.get();
+        if (!snapshot.exists) throw new HttpError(404, 'No such session');
+
+        const { uid, clerkSessionId } = snapshot.data();
+        if (clerkSessionId) await revokeClerkSession(clerkSessionId, uid);
+        await auth.revokeRefreshTokens(uid);
+
+        await ref.update({
+            revokedAt: new Date().toISOString(),
+            revokedBy: await revoker(caller),
+        });
+        res.status(200).json({ revoked: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
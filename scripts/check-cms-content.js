@@ -0,0 +1,142 @@
+/**
+ * CMS Content Check
+ * Validates the bundled page documents in public/content against their
+ * schemas (src/services/cms-schemas.js), checks that every data-cms
+ * binding in pages/** names a declared section of a suitable type, and
+ * that list templates parse, with valid filter arguments, and only read
+ * declared item fields.
+ *
+ * Usage: npm run check:content
+ * Exits with status 1 when anything is wrong; warnings alone do not fail.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { basename, dirname, join, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { PAGE_SCHEMAS, validatePage } from '../src/services/cms-schemas.js';
+import { TemplateError, templateFields } from '../src/services/cms-template.js';
+import { loadContentPages } from './cms-prerender.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const PAGES_DIR = join(ROOT, 'pages');
+const CONTENT_DIR = join(ROOT, 'public/content');
+
+// Binding attribute -> section types it can be used with (null = any)
+const BINDINGS = {
+    'data-cms': null,
+    'data-cms-list': ['list'],
+    'data-cms-template': ['list'],
+    'data-cms-src': ['image'],
+    'data-cms-href': ['link'],
+    'data-cms-if': null
+};
+
+const BINDING_RE = new RegExp(`\\s(${Object.keys(BINDINGS).join('|')})=(["'])(.*?)\\2`, 'g');
+const TEMPLATE_RE = /<template\b[^>]*\sdata-cms-template=(["'])(.*?)\1[^>]*>([\s\S]*?)<\/template>/g;
+
+async function findHtmlFiles(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const files = await Promise.all(entries.map(entry => {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) return findHtmlFiles(path);
+        return entry.name.endsWith('.html') ? [path] : [];
+    }));
+    return files.flat();
+}
+
+function schemaForHtml(html, file) {
+    const declared = html.match(/<(?:html|body)\b[^>]*\sdata-cms-page=["']([^"']+)["']/i);
+    if (declared) return [declared[1], PAGE_SCHEMAS[declared[1]] || null];
+
+    const entry = Object.entries(PAGE_SCHEMAS).find(([, schema]) => basename(schema.path) === basename(file));
+    return entry || [null, null];
+}
+
+function checkBindings(html, file, errors) {
+    const name = relative(ROOT, file);
+    const [pageId, schema] = schemaForHtml(html, file);
+    let match;
+    let count = 0;
+
+    BINDING_RE.lastIndex = 0;
+    while ((match = BINDING_RE.exec(html)) !== null) {
+        const [, attr, , rawKey] = match;
+        const key = attr === 'data-cms-if' ? rawKey.replace(/^!/, '') : rawKey;
+        const line = html.slice(0, match.index).split('\n').length;
+        count++;
+
+        if (!schema) {
+            errors.push(`${name}:${line}: ${attr}="${rawKey}" but no schema is declared for ${pageId || 'this page'}`);
+            continue;
+        }
+
+        const def = schema.sections.find(d => d.key === key);
+        if (!def) {
+            errors.push(`${name}:${line}: ${attr}="${rawKey}" is not a section of ${pageId}`);
+        } else if (BINDINGS[attr] && !BINDINGS[attr].includes(def.type)) {
+            errors.push(`${name}:${line}: ${attr}="${rawKey}" needs a ${BINDINGS[attr].join(' or ')} section, but ${key} is ${def.type}`);
+        }
+    }
+
+    checkTemplates(html, name, schema, errors);
+    return count;
+}
+
+function checkTemplates(html, name, schema, errors) {
+    let match;
+
+    TEMPLATE_RE.lastIndex = 0;
+    while ((match = TEMPLATE_RE.exec(html)) !== null) {
+        const [, , key, source] = match;
+        const line = html.slice(0, match.index).split('\n').length;
+        const def = schema && schema.sections.find(d => d.key === key);
+
+        let fields;
+        try {
+            fields = templateFields(source.trim());
+        } catch (error) {
+            if (!(error instanceof TemplateError)) throw error;
+            errors.push(`${name}:${line}: template "${key}": ${error.message}`);
+            continue;
+        }
+
+        if (!def || !Array.isArray(def.item)) continue;
+        // List items may also carry their own schedule
+        const declared = [...def.item.map(f => f.name), 'publishAt', 'expiresAt'];
+        fields.filter(field => !declared.includes(field)).forEach(field => {
+            errors.push(`${name}:${line}: template "${key}" reads "${field}", which is not a field of ${key} items`);
+        });
+    }
+}
+
+async function main() {
+    const errors = [];
+    const warnings = [];
+
+    const pages = await loadContentPages(CONTENT_DIR);
+    pages.forEach(page => {
+        if (!PAGE_SCHEMAS[page.pageId]) {
+            errors.push(`public/content/${page.pageId}.json: no schema is declared for ${page.pageId}`);
+            return;
+        }
+        const result = validatePage(page.pageId, page.sections);
+        result.errors.forEach(e => errors.push(`public/content/${page.pageId}.json: ${e.message}`));
+        result.warnings.forEach(w => warnings.push(`public/content/${page.pageId}.json: ${w.message}`));
+    });
+
+    let bindings = 0;
+    for (const file of await findHtmlFiles(PAGES_DIR)) {
+        bindings += checkBindings(await readFile(file, 'utf8'), file, errors);
+    }
+
+    warnings.forEach(w => console.warn(`warning  ${w}`));
+    errors.forEach(e => console.error(`error    ${e}`));
+    console.log(`[CMS] Checked ${pages.length} documents and ${bindings} bindings: ${errors.length} errors, ${warnings.length} warnings`);
+
+    if (errors.length > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error('[CMS] Content check failed:', error);
+    process.exitCode = 1;
+});
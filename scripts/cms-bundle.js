@@ -0,0 +1,202 @@
+/**
+ * CMS Bundle Command
+ * Export, import and pack content bundles (src/services/cms-bundle.js) from
+ * the command line.
+ *
+ *   npm run cms:bundle -- export [file] [--content-dir public/content]
+ *       Firestore -> bundle file; --content-dir also rewrites the repo's
+ *       page JSON from the exported pageContent
+ *   npm run cms:bundle -- pack [file] [--content-dir public/content]
+ *       Repo page JSON -> bundle file, without touching Firestore
+ *   npm run cms:bundle -- import <file> [--mode merge|overwrite] [--apply]
+ *       Shows the per-section diff against Firestore; writes only with --apply
+ *
+ * Firestore settings come from the VITE_FIREBASE_* variables of the Vite
+ * env files for --env <mode> (default "production", so .env and
+ * .env.production). FIRESTORE_EMULATOR_HOST points the command at the
+ * emulator. Writes are made as the Firebase user in CMS_AUTH_EMAIL /
+ * CMS_AUTH_PASSWORD when those are set.
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { loadEnv } from 'vite';
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInWithEmailAndPassword } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, terminate } from 'firebase/firestore';
+import {
+    bundleFromContentPages,
+    exportBundle,
+    parseBundle,
+    planImport,
+    readCollections,
+    applyImport,
+    IMPORT_MODES
+} from '../src/services/cms-bundle.js';
+import { loadContentPages } from './cms-prerender.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage:
+  npm run cms:bundle -- export [file] [--content-dir dir] [--env mode]
+  npm run cms:bundle -- pack [file] [--content-dir dir]
+  npm run cms:bundle -- import <file> [--mode ${IMPORT_MODES.join('|')}] [--apply] [--env mode]`;
+
+const CHANGE_MARKS = { added: '+', removed: '-', modified: '~', unchanged: '=' };
+
+function parseArgs(argv) {
+    const args = { _: [], mode: 'merge', env: 'production', apply: false, contentDir: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--apply') args.apply = true;
+        else if (arg === '--mode') args.mode = argv[++i];
+        else if (arg === '--env') args.env = argv[++i];
+        else if (arg === '--content-dir') args.contentDir = resolve(argv[++i] || '');
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else args._.push(arg);
+    }
+
+    return args;
+}
+
+async function connect(envMode) {
+    const env = loadEnv(envMode, ROOT, 'VITE_FIREBASE_');
+    const config = {
+        apiKey: env.VITE_FIREBASE_API_KEY,
+        authDomain: env.VITE_FIREBASE_AUTH_DOMAIN,
+        projectId: env.VITE_FIREBASE_PROJECT_ID,
+        storageBucket: env.VITE_FIREBASE_STORAGE_BUCKET,
+        appId: env.VITE_FIREBASE_APP_ID
+    };
+
+    if (!config.projectId || (!config.apiKey && !process.env.FIRESTORE_EMULATOR_HOST)) {
+        throw new Error(`Firebase is not configured for "${envMode}" (set VITE_FIREBASE_API_KEY and VITE_FIREBASE_PROJECT_ID)`);
+    }
+
+    const app = initializeApp(config);
+    const db = getFirestore(app);
+
+    if (process.env.FIRESTORE_EMULATOR_HOST) {
+        const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+        connectFirestoreEmulator(db, host, Number(port));
+    }
+    if (process.env.CMS_AUTH_EMAIL && process.env.CMS_AUTH_PASSWORD) {
+        await signInWithEmailAndPassword(getAuth(app), process.env.CMS_AUTH_EMAIL, process.env.CMS_AUTH_PASSWORD);
+    }
+
+    return db;
+}
+
+// The signed-in CMS_AUTH_EMAIL user, recorded as the publisher of imported pages
+function importAuthor(db) {
+    const user = getAuth(db.app).currentUser;
+    return user ? { id: user.uid, email: user.email || null, name: user.displayName || user.email || null } : null;
+}
+
+function defaultBundleName(source) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    return `cms-bundle-${source || 'content'}-${stamp}.json`;
+}
+
+// JSON on one line with the spacing used in public/content
+function inline(value) {
+    if (Array.isArray(value)) return `[${value.map(inline).join(', ')}]`;
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${inline(v)}`);
+        return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+    }
+    return JSON.stringify(value ?? null);
+}
+
+// One section per line; list items one per line
+function formatPageJson(page) {
+    const sections = page.sections.map(section => {
+        if (!Array.isArray(section.value) || section.value.length === 0) return `    ${inline(section)}`;
+        const { value, ...rest } = section;
+        const items = value.map(item => `        ${inline(item)}`).join(',\n');
+        return `    {\n      ${inline(rest).slice(2, -2)}, "value": [\n${items}\n      ]\n    }`;
+    });
+
+    const head = ['pageId', 'name', 'path', 'lastModified']
+        .map(key => `  ${JSON.stringify(key)}: ${JSON.stringify(page[key] ?? null)}`)
+        .join(',\n');
+    return `{\n${head},\n  "sections": [\n${sections.join(',\n')}\n  ]\n}\n`;
+}
+
+async function writeContentDir(dir, pageContent) {
+    const pages = Object.entries(pageContent).sort(([a], [b]) => a.localeCompare(b));
+    const indexPath = join(dir, '_index.json');
+    const index = JSON.parse(await readFile(indexPath, 'utf8').catch(() => '{"pages":[]}'));
+
+    for (const [id, page] of pages) {
+        await writeFile(join(dir, `${id}.json`), formatPageJson({ ...page, pageId: id }));
+        if (!index.pages.some(entry => entry.id === id)) {
+            index.pages.push({ id, name: page.name || id, path: page.path || '' });
+        }
+    }
+
+    const entries = index.pages.map(entry => `    ${inline(entry)}`).join(',\n');
+    await writeFile(indexPath, `{\n  "pages": [\n${entries}\n  ]\n}\n`);
+    console.log(`[CMS] Wrote ${pages.length} pages to ${dir}`);
+}
+
+function printPlan(plan) {
+    plan.forEach(entry => {
+        console.log(`${CHANGE_MARKS[entry.change]} ${entry.collection}/${entry.id} (${entry.change})`);
+        (entry.sections || []).forEach(s => console.log(`    ${CHANGE_MARKS[s.change]} ${s.label} [${s.key}]`));
+        entry.errors.forEach(e => console.error(`    error: ${e.message}`));
+    });
+
+    const counts = plan.reduce((acc, e) => ({ ...acc, [e.change]: (acc[e.change] || 0) + 1 }), {});
+    console.log(`[CMS] ${counts.added || 0} added, ${counts.modified || 0} modified, ${counts.unchanged || 0} unchanged`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [command, file] = args._;
+
+    if (command === 'export') {
+        const db = await connect(args.env);
+        const bundle = await exportBundle(db);
+        const out = resolve(file || defaultBundleName(bundle.source));
+        await writeFile(out, `${JSON.stringify(bundle, null, 2)}\n`);
+        console.log(`[CMS] Exported ${Object.keys(bundle.collections.pageContent).length} pages, ` +
+            `${Object.keys(bundle.collections.profiles).length} profiles and ` +
+            `${Object.keys(bundle.collections.media).length} media records to ${out}`);
+        if (args.contentDir) await writeContentDir(args.contentDir, bundle.collections.pageContent);
+        await terminate(db);
+    } else if (command === 'pack') {
+        const dir = args.contentDir || join(ROOT, 'public/content');
+        const bundle = bundleFromContentPages(await loadContentPages(dir), 'repo');
+        const out = resolve(file || defaultBundleName('repo'));
+        await writeFile(out, `${JSON.stringify(bundle, null, 2)}\n`);
+        console.log(`[CMS] Packed ${Object.keys(bundle.collections.pageContent).length} pages from ${dir} into ${out}`);
+    } else if (command === 'import' && file) {
+        const bundle = parseBundle(await readFile(resolve(file), 'utf8'));
+        const db = await connect(args.env);
+        const plan = planImport(bundle, await readCollections(db), args.mode);
+
+        console.log(`[CMS] Importing ${file} (from ${bundle.source || 'unknown'}, ${bundle.exportedAt}) in ${args.mode} mode`);
+        printPlan(plan);
+
+        if (plan.some(entry => entry.errors.length > 0)) {
+            process.exitCode = 1;
+        } else if (args.apply) {
+            const written = await applyImport(db, plan, { source: bundle.source, author: importAuthor(db) });
+            console.log(`[CMS] Wrote ${written} documents`);
+        } else {
+            console.log('[CMS] Dry run; pass --apply to write these changes');
+        }
+        await terminate(db);
+    } else {
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('[CMS] Bundle command failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,249 @@
+/**
+ * CMS Prerender
+ * Bakes page content into the data-cms / data-cms-list elements of an HTML
+ * file at build time, so visitors see current copy before any JavaScript
+ * runs. Used by the cmsPrerender() plugin in vite.config.js.
+ *
+ * Content is read from a directory laid out like public/content
+ * (_index.json plus one {id}.json per page), which is also the shape of a
+ * Firestore export. Rendering goes through the same helpers as
+ * cms-loader.js, so the markup matches what the loader would produce.
+ *
+ * The HTML is edited as a string: only the elements carrying CMS
+ * attributes are touched and everything else is left byte-for-byte intact.
+ */
+
+import { readFile } from 'fs/promises';
+import { basename, join } from 'path';
+import { renderSectionHtml, fillTemplate, renderListFallback } from '../src/services/cms-render.js';
+import { TemplateError } from '../src/services/cms-template.js';
+import { isLive, filterLive } from '../src/services/cms-schedule.js';
+import { escapeHtml, safeUrl, imageSrc, linkHref, isTruthyValue } from '../src/services/cms-fields.js';
+import { responsiveImgTag, applyResponsiveImages, sectionImageEntry } from '../src/services/cms-images.js';
+
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// Markup that is never visible text: scripts, styles, templates, comments
+export const NON_TEXT_RE = /<(script|style|template|noscript|svg)\b[\s\S]*?<\/\1>|<!--[\s\S]*?-->/gi;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Apply fn to the parts of an HTML string outside NON_TEXT_RE matches, so
+ * markup inside scripts and templates is left alone
+ * @param {string} html
+ * @param {function(string): string} fn
+ * @returns {string}
+ */
+export function mapVisibleHtml(html, fn) {
+    let out = '';
+    let last = 0;
+    let match;
+
+    NON_TEXT_RE.lastIndex = 0;
+    while ((match = NON_TEXT_RE.exec(html)) !== null) {
+        out += fn(html.slice(last, match.index)) + match[0];
+        last = match.index + match[0].length;
+    }
+    return out + fn(html.slice(last));
+}
+
+/**
+ * Load every page listed in a content directory's _index.json
+ * @param {string} contentDir
+ * @returns {Promise<Array>} Page documents, each with its index id as pageId
+ */
+export async function loadContentPages(contentDir) {
+    const index = JSON.parse(await readFile(join(contentDir, '_index.json'), 'utf8'));
+    const pages = [];
+
+    for (const entry of index.pages || []) {
+        try {
+            const page = JSON.parse(await readFile(join(contentDir, `${entry.id}.json`), 'utf8'));
+            if (Array.isArray(page.sections)) {
+                pages.push({ ...page, pageId: entry.id, path: page.path || entry.path });
+            }
+        } catch (error) {
+            console.warn(`[CMS] Skipping prerender content for ${entry.id}:`, error.message);
+        }
+    }
+
+    return pages;
+}
+
+/**
+ * Find the page document for an HTML file: by its declared data-cms-page id,
+ * otherwise by file name
+ * @param {Array} pages
+ * @param {string} html
+ * @param {string} filename
+ * @returns {Object|null}
+ */
+export function findPageForHtml(pages, html, filename) {
+    const declared = html.match(/<(?:html|body)\b[^>]*\sdata-cms-page=["']([^"']+)["']/i);
+    if (declared) return pages.find(p => p.pageId === declared[1]) || null;
+
+    const file = basename(filename);
+    return pages.find(p => basename(p.path || '') === file) || null;
+}
+
+// Every element whose opening tag has attr="value", with the offsets of its
+// opening tag, content and closing tag
+function findElements(html, attr, value) {
+    const openRe = new RegExp(`<([a-zA-Z][\\w-]*)\\b[^>]*?\\s${escapeRegExp(attr)}=(["'])${escapeRegExp(value)}\\2[^>]*>`, 'g');
+    const elements = [];
+    let match;
+
+    while ((match = openRe.exec(html)) !== null) {
+        const tag = match[1].toLowerCase();
+        const start = match.index;
+        const openEnd = openRe.lastIndex;
+
+        if (VOID_TAGS.includes(tag)) {
+            elements.push({ tag, start, openEnd, closeStart: openEnd, end: openEnd });
+            continue;
+        }
+
+        // Walk nested tags of the same name to find the matching close
+        const tagRe = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+        tagRe.lastIndex = openEnd;
+        let depth = 1;
+        let inner;
+        while (depth > 0 && (inner = tagRe.exec(html)) !== null) {
+            depth += inner[1] ? -1 : 1;
+        }
+        if (depth > 0) continue;
+
+        elements.push({ tag, start, openEnd, closeStart: inner.index, end: tagRe.lastIndex });
+    }
+
+    return elements;
+}
+
+// Set (or add) an attribute on an opening tag string
+function setAttribute(openTag, name, value) {
+    const attrRe = new RegExp(`(\\s${escapeRegExp(name)})(?:\\s*=\\s*(?:"[^"]*"|'[^']*'|[^\\s"'=<>\`]+))?(?=[\\s/>])`, 'i');
+    const rendered = value === '' ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`;
+    if (attrRe.test(openTag)) return openTag.replace(attrRe, rendered);
+    return openTag.replace(/\s*(\/?)>$/, `${rendered}$1>`);
+}
+
+// Rewrite every element matching attr="value". update(openTag, content, el)
+// returns { openTag, content }; content is ignored for void elements.
+function updateElements(html, attr, value, update) {
+    const elements = findElements(html, attr, value);
+
+    // Work backwards so earlier offsets stay valid
+    return elements.reverse().reduce((out, el) => {
+        const openTag = out.slice(el.start, el.openEnd);
+        const content = out.slice(el.openEnd, el.closeStart);
+        const next = update(openTag, content, el);
+        const body = VOID_TAGS.includes(el.tag) ? '' : next.content + out.slice(el.closeStart, el.end);
+        return out.slice(0, el.start) + next.openTag + body + out.slice(el.end);
+    }, html);
+}
+
+function readAttribute(openTag, name) {
+    const match = openTag.match(new RegExp(`\\s${escapeRegExp(name)}=(["'])(.*?)\\1`, 'i'));
+    return match ? match[2] : undefined;
+}
+
+function hide(openTag) {
+    return setAttribute(setAttribute(openTag, 'hidden', ''), 'data-cms-scheduled', 'hidden');
+}
+
+function withImage(openTag, section, value) {
+    const src = safeUrl(imageSrc(value));
+    let tag = src ? setAttribute(openTag, 'src', src) : openTag;
+    if (section.alt) tag = setAttribute(tag, 'alt', section.alt);
+    // No <picture> around a bound element: the loader swaps its src later
+    const entry = src && sectionImageEntry(section, src);
+    return entry ? responsiveImgTag(tag, entry).tag : tag;
+}
+
+function renderTemplateItems(key, source, items) {
+    const unknown = new Set();
+    try {
+        const html = items.map(item => fillTemplate(source, item, { onUnknownField: path => unknown.add(path) })).join('');
+        unknown.forEach(path => console.warn(`[CMS] Template "${key}" uses unknown field "${path}"`));
+        return html;
+    } catch (error) {
+        if (error instanceof TemplateError) throw new Error(`[CMS] Template "${key}" is invalid: ${error.message}`);
+        throw error;
+    }
+}
+
+function prerenderSection(html, section, now) {
+    const { key, type } = section;
+
+    if (!isLive(section, now)) {
+        return ['data-cms', 'data-cms-list', 'data-cms-src', 'data-cms-href'].reduce(
+            (out, attr) => updateElements(out, attr, key, (openTag, content) => ({ openTag: hide(openTag), content })),
+            html
+        );
+    }
+
+    const value = type === 'list' && Array.isArray(section.value)
+        ? filterLive(section.value, now)
+        : section.value;
+
+    if (type === 'list') {
+        if (!Array.isArray(value)) return html;
+        const template = findElements(html, 'data-cms-template', key).find(el => el.tag === 'template');
+        const source = template ? html.slice(template.openEnd, template.closeStart).trim() : null;
+        const items = source ? renderTemplateItems(key, source, value) : renderListFallback(value);
+        const content = applyResponsiveImages(items, url => sectionImageEntry(section, url));
+        return updateElements(html, 'data-cms-list', key, openTag => ({ openTag, content }));
+    }
+
+    let out = updateElements(html, 'data-cms', key, (openTag, content, el) => {
+        if (type === 'image') {
+            return { openTag: el.tag === 'img' ? withImage(openTag, section, value) : openTag, content };
+        }
+
+        const rendered = renderSectionHtml(section, value, readAttribute(openTag, 'data-cms-format'));
+        let tag = openTag;
+        if (type === 'link' && el.tag === 'a' && safeUrl(linkHref(value))) tag = setAttribute(tag, 'href', safeUrl(linkHref(value)));
+        if (type === 'date' && el.tag === 'time') tag = setAttribute(tag, 'datetime', value || '');
+        return { openTag: tag, content: rendered === null ? content : rendered };
+    });
+
+    out = updateElements(out, 'data-cms-src', key, (openTag, content) => ({ openTag: withImage(openTag, section, value), content }));
+
+    out = updateElements(out, 'data-cms-href', key, (openTag, content) => {
+        const href = safeUrl(linkHref(value));
+        return { openTag: href ? setAttribute(openTag, 'href', href) : openTag, content };
+    });
+
+    [key, `!${key}`].forEach(test => {
+        const show = test.startsWith('!') ? !isTruthyValue(value) : isTruthyValue(value);
+        out = updateElements(out, 'data-cms-if', test, (openTag, content) => ({
+            openTag: show ? openTag.replace(/\shidden(?:=(["'])[^"']*\1)?(?=[\s/>])/i, '') : setAttribute(openTag, 'hidden', ''),
+            content
+        }));
+    });
+
+    return out;
+}
+
+/**
+ * Render a page document into an HTML file and stamp <html> with the page
+ * id and the lastModified of the content that was baked in
+ * @param {string} html
+ * @param {Object} page
+ * @param {Date} [now] - Used to resolve section and list item schedules
+ * @returns {string}
+ */
+export function prerenderPage(html, page, now = new Date()) {
+    let out = page.sections.reduce((acc, section) => prerenderSection(acc, section, now), html);
+
+    out = out.replace(/<html\b[^>]*>/i, openTag => {
+        let tag = openTag;
+        if (!readAttribute(tag, 'data-cms-page')) tag = setAttribute(tag, 'data-cms-page', page.pageId);
+        return setAttribute(tag, 'data-cms-prerendered', page.lastModified || now.toISOString());
+    });
+
+    return out;
+}
@@ -0,0 +1,137 @@
+/**
+ * Image Variants
+ * Makes the resized AVIF and WebP variants and the blur-up placeholder of
+ * every JPG, PNG and WebP under public/assets/images, and the manifest that
+ * describes them (see src/services/cms-images.js). Used by the
+ * responsiveImages() plugin in vite.config.js.
+ *
+ *   public/assets/images/events/a.jpg
+ *     -> assets/images/events/a-480w.avif, a-480w.webp, a-960w.avif, ...
+ *   image-manifest.json
+ *     { "/assets/images/events/a.jpg": { width, height, placeholder, variants } }
+ *
+ * Encoding is slow, so results are cached in node_modules/.cache by the
+ * hash of the original; a build only encodes images that changed.
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readdir, readFile, writeFile } from 'fs/promises';
+import { join, relative, sep } from 'path';
+import sharp from 'sharp';
+import { IMAGE_FORMATS, PLACEHOLDER_WIDTH, targetWidths, variantPath, isResizable } from '../src/services/cms-images.js';
+
+export const IMAGES_DIR = 'public/assets/images';
+const CACHE_DIR = 'node_modules/.cache/image-variants';
+
+// Encoder settings per format: AVIF at low effort keeps builds quick
+const ENCODERS = {
+    avif: image => image.avif({ quality: 50, effort: 2 }),
+    webp: image => image.webp({ quality: 75 })
+};
+
+async function findImages(dir) {
+    let entries;
+    try {
+        entries = await readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const files = await Promise.all(entries.map(entry => {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) return findImages(path);
+        return isResizable(entry.name) ? [path] : [];
+    }));
+    return files.flat();
+}
+
+async function readCache(path) {
+    try {
+        return JSON.parse(await readFile(path, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+// Encode one image: its size, placeholder and a buffer per variant
+async function encodeImage(source) {
+    const meta = await sharp(source).metadata();
+    // EXIF orientations 5-8 are rotated a quarter turn
+    const rotated = (meta.orientation || 1) >= 5;
+    const width = rotated ? meta.height : meta.width;
+    const height = rotated ? meta.width : meta.height;
+
+    const variants = [];
+    for (const w of targetWidths(width)) {
+        for (const format of IMAGE_FORMATS) {
+            const data = await ENCODERS[format.ext](sharp(source).rotate().resize({ width: w })).toBuffer();
+            variants.push({ width: w, type: format.type, ext: format.ext, data });
+        }
+    }
+
+    // Transparent images would show the placeholder through them
+    let placeholder = null;
+    if (!meta.hasAlpha) {
+        const tiny = await sharp(source).rotate().resize({ width: PLACEHOLDER_WIDTH }).jpeg({ quality: 40 }).toBuffer();
+        placeholder = `data:image/jpeg;base64,${tiny.toString('base64')}`;
+    }
+
+    return { width, height, placeholder, variants };
+}
+
+/**
+ * Build (or read from the cache) the variants of every image
+ * @param {string} root - Project root
+ * @returns {Promise<{manifest: Object, files: Array<{fileName: string, source: Buffer}>}>}
+ *   manifest is keyed by image URL; files are the variants to emit, with
+ *   paths relative to the output directory
+ */
+export async function buildImageVariants(root) {
+    const imagesDir = join(root, IMAGES_DIR);
+    const publicDir = join(root, 'public');
+    const cacheDir = join(root, CACHE_DIR);
+    const manifest = {};
+    const files = [];
+
+    for (const path of (await findImages(imagesDir)).sort()) {
+        const fileName = relative(publicDir, path).split(sep).join('/');
+        const source = await readFile(path);
+        const hash = createHash('sha1').update(source).digest('hex').slice(0, 16);
+        const metaPath = join(cacheDir, `${hash}.json`);
+
+        let cached = await readCache(metaPath);
+        if (cached) {
+            try {
+                cached.variants = await Promise.all(cached.variants.map(async v =>
+                    ({ ...v, data: await readFile(join(cacheDir, `${hash}-${v.width}w.${v.ext}`)) })));
+            } catch {
+                cached = null;
+            }
+        }
+
+        let encoded = cached;
+        if (!encoded) {
+            try {
+                encoded = await encodeImage(source);
+            } catch (error) {
+                console.warn(`[CMS] Skipping image variants for ${fileName}:`, error.message);
+                continue;
+            }
+            await mkdir(cacheDir, { recursive: true });
+            await Promise.all(encoded.variants.map(v => writeFile(join(cacheDir, `${hash}-${v.width}w.${v.ext}`), v.data)));
+            await writeFile(metaPath, JSON.stringify({
+                ...encoded,
+                variants: encoded.variants.map(({ data: _data, ...v }) => v)
+            }));
+        }
+
+        const variants = encoded.variants.map(v => {
+            const variantFile = variantPath(fileName, v.width, v.ext);
+            files.push({ fileName: variantFile, source: v.data });
+            return { url: `/${variantFile}`, width: v.width, type: v.type };
+        });
+        manifest[`/${fileName}`] = { width: encoded.width, height: encoded.height, placeholder: encoded.placeholder, variants };
+    }
+
+    return { manifest, files };
+}
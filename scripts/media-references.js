@@ -0,0 +1,31 @@
+/**
+ * Static Media References
+ * Lists the media library files (Firebase Storage URLs) that the HTML of
+ * each routed page points at directly, so the content manager can count
+ * them as used (see src/services/cms-media-usage.js). Used by the
+ * mediaReferences() plugin in vite.config.js.
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { ROUTES } from '../src/routes.js';
+import { MEDIA_REFERENCES_VERSION, storageUrls } from '../src/services/cms-media-usage.js';
+
+/**
+ * @param {string} root - Project root
+ * @returns {Promise<Object>} media-references.json, with only the pages that reference a file
+ */
+export async function buildMediaReferences(root) {
+    const seen = new Set();
+    const pages = [];
+
+    for (const route of ROUTES) {
+        if (seen.has(route.file)) continue;
+        seen.add(route.file);
+
+        const urls = storageUrls(await readFile(join(root, route.file), 'utf8'));
+        if (urls.length > 0) pages.push({ path: route.path, title: route.title, urls });
+    }
+
+    return { version: MEDIA_REFERENCES_VERSION, generatedAt: new Date().toISOString(), pages };
+}
@@ -0,0 +1,103 @@
+/**
+ * Route Manifest Checks
+ * Node-side helpers for the route manifest (src/routes.js): finding pages
+ * without a route, routes without a page and admin pages without the guard
+ * script, and keeping the rewrites in vercel.json generated from the
+ * manifest. Used by the routeManifest() plugin in vite.config.js and by
+ * scripts/sync-routes.js.
+ */
+
+import { existsSync } from 'fs';
+import { readdir, readFile, writeFile } from 'fs/promises';
+import { join, relative } from 'path';
+import { ROUTES, ACCESS_LEVELS, vercelRewrites } from '../src/routes.js';
+import { PERMISSIONS } from '../src/auth/roles.js';
+
+async function findHtmlFiles(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const files = await Promise.all(entries.map(entry => {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) return findHtmlFiles(path);
+        return entry.name.endsWith('.html') ? [path] : [];
+    }));
+    return files.flat();
+}
+
+// Rewrites array as written in vercel.json, one aligned rule per line
+function formatRewrites(rewrites) {
+    const width = Math.max(...rewrites.map(r => JSON.stringify(r.source).length)) + 1;
+    const lines = rewrites.map(r =>
+        `    { "source": ${`${JSON.stringify(r.source)},`.padEnd(width)} "destination": ${JSON.stringify(r.destination)} }`);
+    return `"rewrites": [\n${lines.join(',\n')}\n  ]`;
+}
+
+const REWRITES_RE = /"rewrites":\s*\[[\s\S]*?\n\s*\]/;
+
+// The script that keeps signed-out visitors and other roles off admin pages
+const ADMIN_GUARD_RE = /<script[^>]+src=["']\/src\/auth\/clerk-admin-protect\.js["']/;
+
+/**
+ * Everything wrong with the manifest against the files on disk
+ * @param {string} root - Project root
+ * @returns {Promise<string[]>} Problems, empty when all is well
+ */
+export async function checkRoutes(root) {
+    const problems = [];
+    const seen = new Set();
+
+    ROUTES.forEach(route => {
+        if (seen.has(route.path)) problems.push(`Route ${route.path} is listed more than once`);
+        seen.add(route.path);
+        if (!ACCESS_LEVELS.includes(route.access)) {
+            problems.push(`Route ${route.path} has unknown access "${route.access}" (expected ${ACCESS_LEVELS.join(', ')})`);
+        }
+        if (route.access === 'admin' && !route.permission) {
+            problems.push(`Admin route ${route.path} has no permission`);
+        }
+        if (route.permission && !PERMISSIONS[route.permission]) {
+            problems.push(`Route ${route.path} needs unknown permission "${route.permission}" (see src/auth/roles.js)`);
+        }
+        if (route.nav && !(route.icon && route.description)) {
+            problems.push(`Route ${route.path} is in the navigation but has no icon or description`);
+        }
+        if (!existsSync(join(root, route.file))) {
+            problems.push(`Dead route: ${route.path} points at ${route.file}, which does not exist`);
+        }
+    });
+
+    await Promise.all(ROUTES.filter(r => r.access === 'admin' && existsSync(join(root, r.file))).map(async route => {
+        const html = await readFile(join(root, route.file), 'utf8');
+        if (!ADMIN_GUARD_RE.test(html)) {
+            problems.push(`Unguarded admin page: ${route.file} (${route.path}) does not load /src/auth/clerk-admin-protect.js`);
+        }
+    }));
+
+    const routed = new Set(ROUTES.map(r => r.file));
+    (await findHtmlFiles(join(root, 'pages'))).forEach(file => {
+        const name = relative(root, file).split('\\').join('/');
+        if (!routed.has(name)) problems.push(`Orphaned page: ${name} has no route in src/routes.js`);
+    });
+
+    const vercel = JSON.parse(await readFile(join(root, 'vercel.json'), 'utf8'));
+    if (JSON.stringify(vercel.rewrites) !== JSON.stringify(vercelRewrites())) {
+        problems.push('vercel.json rewrites do not match src/routes.js; run npm run routes:sync');
+    }
+
+    return problems;
+}
+
+/**
+ * Regenerate the rewrites in vercel.json from the manifest, leaving the
+ * rest of the file untouched
+ * @param {string} root - Project root
+ * @returns {Promise<boolean>} Whether the file changed
+ */
+export async function syncVercelRewrites(root) {
+    const path = join(root, 'vercel.json');
+    const source = await readFile(path, 'utf8');
+    const updated = source.replace(REWRITES_RE, formatRewrites(vercelRewrites()));
+
+    if (updated === source) return false;
+    await writeFile(path, updated);
+    return true;
+}
@@ -0,0 +1,102 @@
+/**
+ * Security Rules Checks
+ * firestore.rules and storage.rules repeat the permission matrix from
+ * src/auth/roles.js for the `role` custom claim, since rules cannot import
+ * it. These checks find where they have drifted apart, and Firestore
+ * collections the code uses that have no rules (and so are denied). Used by
+ * the securityRules() plugin in vite.config.js.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import { ROLE_PERMISSIONS } from '../src/auth/roles.js';
+
+// collection(db, 'name'), doc(db, 'name', id) and FOO_COLLECTION = 'name'
+const COLLECTION_RES = [
+    /\b(?:collection|doc)\(\s*[\w.()]+\s*,\s*['"]([a-zA-Z]+)['"]/g,
+    /_(?:COLLECTION|SUBCOLLECTION)\s*=\s*['"]([a-zA-Z]+)['"]/g
+];
+
+const ROLE_ENTRY_RE = /'([a-z_]+)':\s*\[([^\]]*)\]/g;
+const MEDIA_ROLES_RE = /function canManageMedia\(\)[\s\S]*?in \[([^\]]*)\]/;
+
+function quoted(list) {
+    return [...list.matchAll(/'([^']+)'/g)].map(m => m[1]);
+}
+
+function sameSet(a, b) {
+    return a.length === b.length && a.every(x => b.includes(x));
+}
+
+async function findSourceFiles(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const files = await Promise.all(entries.map(entry => {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) return findSourceFiles(path);
+        return /\.(js|html)$/.test(entry.name) ? [path] : [];
+    }));
+    return files.flat();
+}
+
+/**
+ * Firestore collections named in the browser code, with a file using each
+ * @param {string} root - Project root
+ * @returns {Promise<Map<string, string>>} name -> file
+ */
+export async function usedCollections(root) {
+    const used = new Map();
+    const files = [...await findSourceFiles(join(root, 'src')), ...await findSourceFiles(join(root, 'pages'))];
+    for (const file of files) {
+        const source = await readFile(file, 'utf8');
+        COLLECTION_RES.forEach(re => {
+            for (const match of source.matchAll(re)) {
+                if (!used.has(match[1])) used.set(match[1], file.slice(root.length + 1));
+            }
+        });
+    }
+    return used;
+}
+
+/**
+ * Everything in the rules that disagrees with ROLE_PERMISSIONS
+ * @param {string} root - Project root
+ * @returns {Promise<string[]>} Problems, empty when all is well
+ */
+export async function checkRules(root) {
+    const problems = [];
+    const roles = Object.keys(ROLE_PERMISSIONS).filter(role => role !== 'guest');
+
+    const firestore = await readFile(join(root, 'firestore.rules'), 'utf8');
+    const block = firestore.match(/function rolePermissions\(\)\s*\{([\s\S]*?)\n\s*\}\n/);
+    if (!block) {
+        problems.push('firestore.rules has no rolePermissions() function');
+    } else {
+        const rules = Object.fromEntries([...block[1].matchAll(ROLE_ENTRY_RE)].map(m => [m[1], quoted(m[2])]));
+        roles.forEach(role => {
+            if (!rules[role]) problems.push(`firestore.rules gives role "${role}" no permissions`);
+            else if (!sameSet(rules[role], ROLE_PERMISSIONS[role])) {
+                problems.push(`firestore.rules permissions for "${role}" differ from src/auth/roles.js`);
+            }
+        });
+        Object.keys(rules).filter(role => !roles.includes(role)).forEach(role => {
+            problems.push(`firestore.rules has unknown role "${role}"`);
+        });
+    }
+
+    (await usedCollections(root)).forEach((file, name) => {
+        if (!new RegExp(`match /${name}/\\{`).test(firestore)) {
+            problems.push(`firestore.rules has no rules for collection "${name}" (used in ${file})`);
+        }
+    });
+
+    const storage = await readFile(join(root, 'storage.rules'), 'utf8');
+    const media = storage.match(MEDIA_ROLES_RE);
+    const mediaRoles = roles.filter(role => ROLE_PERMISSIONS[role].includes('media:manage'));
+    if (!media) {
+        problems.push('storage.rules has no canManageMedia() function');
+    } else if (!sameSet(quoted(media[1]), mediaRoles)) {
+        problems.push(`storage.rules canManageMedia() roles should be ${mediaRoles.join(', ')}`);
+    }
+
+    return problems;
+}
@@ -0,0 +1,176 @@
+/**
+ * Search Index Builder
+ * Builds the site search index (src/services/site-search.js) from the
+ * public pages of the route manifest, with their CMS content baked in the
+ * same way as the build does. Pages under /admin, non-public routes and
+ * routes marked search: false are left out. Used by the searchIndex()
+ * plugin in vite.config.js.
+ *
+ * Like cms-prerender.js, HTML is handled as a string. Headings get an id
+ * (slug of their text) when they have none, so results can link to them;
+ * addHeadingIds() is applied both to the indexed HTML and to the pages
+ * that are served, which keeps the anchors in step.
+ *
+ * CMS sections that the page HTML does not bind (the content is still
+ * hard-coded in the page) are indexed from public/content as well, as
+ * entries that link to the top of the page.
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { ROUTES } from '../src/routes.js';
+import { SEARCH_INDEX_VERSION, slugify } from '../src/services/site-search.js';
+import { isLive, filterLive } from '../src/services/cms-schedule.js';
+import { findPageForHtml, prerenderPage, mapVisibleHtml, NON_TEXT_RE } from './cms-prerender.js';
+
+// Page chrome repeated on every page
+const CHROME_RE = /<(nav|footer)\b[\s\S]*?<\/\1>/gi;
+const HEADING_RE = /<h([1-4])\b([^>]*)>([\s\S]*?)<\/h\1>/gi;
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', copy: '©'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(point) ? String.fromCodePoint(point) : match;
+        }
+        return ENTITIES[code.toLowerCase()] ?? match;
+    });
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function textOf(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function readId(attrs) {
+    const match = attrs.match(/\sid=(["'])(.*?)\1/i);
+    return match ? match[2] : null;
+}
+
+/**
+ * Give every heading (h1-h4) with text but no id an id made from its text
+ * @param {string} html
+ * @returns {string}
+ */
+export function addHeadingIds(html) {
+    const used = new Set();
+    mapVisibleHtml(html, part => {
+        for (const match of part.matchAll(/\sid=(["'])(.*?)\1/gi)) used.add(match[2]);
+        return part;
+    });
+
+    return mapVisibleHtml(html, part => part.replace(HEADING_RE, (heading, level, attrs, inner) => {
+        if (readId(attrs)) return heading;
+        const base = slugify(textOf(inner));
+        if (!base) return heading;
+
+        let id = base;
+        for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+        used.add(id);
+        return `<h${level} id="${id}"${attrs}>${inner}</h${level}>`;
+    }));
+}
+
+/**
+ * Split a page into one section per heading
+ * @param {string} html - With heading ids already added
+ * @returns {Array<{anchor: string, heading: string, text: string}>} Sections with text
+ */
+export function extractSections(html) {
+    const body = (html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i) || [null, html])[1]
+        .replace(NON_TEXT_RE, ' ')
+        .replace(CHROME_RE, ' ');
+    const sections = [];
+    let current = { anchor: '', heading: '', parts: [] };
+    let last = 0;
+    let match;
+
+    HEADING_RE.lastIndex = 0;
+    while ((match = HEADING_RE.exec(body)) !== null) {
+        current.parts.push(body.slice(last, match.index));
+        sections.push(current);
+        current = { anchor: readId(match[2]) || '', heading: textOf(match[3]), parts: [] };
+        last = match.index + match[0].length;
+    }
+    current.parts.push(body.slice(last));
+    sections.push(current);
+
+    return sections
+        .map(({ anchor, heading, parts }) => ({ anchor, heading, text: textOf(parts.join(' ')) }))
+        .filter(section => section.heading || section.text);
+}
+
+function isBound(html, key) {
+    return new RegExp(`\\sdata-cms(?:-list|-template|-src|-href|-if)?=(["'])!?${escapeRegExp(key)}\\1`).test(html);
+}
+
+// Text of a CMS value: strings as they are, list items by their string fields
+function sectionText(section, now) {
+    if (section.type === 'list') {
+        return (Array.isArray(section.value) ? filterLive(section.value, now) : [])
+            .map(item => Object.values(item).filter(v => typeof v === 'string' && !/^(https?:|\/)|\.(jpe?g|png|gif|webp|svg)$/i.test(v)).join(' '))
+            .join(' ');
+    }
+    return ['text', 'richtext', 'markdown'].includes(section.type) ? String(section.value || '') : '';
+}
+
+/**
+ * Entries for the CMS sections of a page document that its HTML does not bind
+ * @param {string} html - The page's source HTML
+ * @param {Object} page - Page document
+ * @param {Date} [now] - Used to resolve schedules
+ * @returns {Array<{anchor: string, heading: string, text: string}>}
+ */
+export function unboundSections(html, page, now = new Date()) {
+    return page.sections
+        .filter(section => !isBound(html, section.key) && isLive(section, now))
+        .map(section => ({ anchor: '', heading: section.label || section.key, text: textOf(sectionText(section, now)) }))
+        .filter(section => section.text);
+}
+
+/**
+ * Routes that belong in the search index, one per HTML file
+ * @returns {Array<Object>}
+ */
+export function searchableRoutes() {
+    const seen = new Set();
+    return ROUTES.filter(route => {
+        if (route.access !== 'public' || route.search === false) return false;
+        if (route.path === '/admin' || route.path.startsWith('/admin/')) return false;
+        if (seen.has(route.file)) return false;
+        seen.add(route.file);
+        return true;
+    });
+}
+
+/**
+ * Build the search index
+ * @param {string} root - Project root
+ * @param {Array} contentPages - From loadContentPages, baked into the pages
+ * @returns {Promise<Object>}
+ */
+export async function buildSearchIndex(root, contentPages) {
+    const entries = [];
+
+    for (const route of searchableRoutes()) {
+        const source = await readFile(join(root, route.file), 'utf8');
+        const page = findPageForHtml(contentPages, source, route.file);
+        const html = page ? prerenderPage(source, page) : source;
+        const sections = extractSections(addHeadingIds(html));
+        if (page) sections.push(...unboundSections(source, page));
+
+        sections.forEach(section => {
+            entries.push({ path: route.path, page: route.title, ...section });
+        });
+    }
+
+    return { version: SEARCH_INDEX_VERSION, generatedAt: new Date().toISOString(), entries };
+}
@@ -0,0 +1,28 @@
+/**
+ * Route Sync
+ * Rewrites the "rewrites" of vercel.json from the route manifest
+ * (src/routes.js) and reports any other problems with the manifest.
+ *
+ * Usage: npm run routes:sync
+ * Exits with status 1 when pages or routes still need fixing by hand.
+ */
+
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { checkRoutes, syncVercelRewrites } from './routes.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+async function main() {
+    const changed = await syncVercelRewrites(ROOT);
+    console.log(changed ? '[Routes] Updated vercel.json rewrites' : '[Routes] vercel.json rewrites are up to date');
+
+    const problems = await checkRoutes(ROOT);
+    problems.forEach(p => console.error(`error    ${p}`));
+    if (problems.length > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error('[Routes] Sync failed:', error);
+    process.exitCode = 1;
+});
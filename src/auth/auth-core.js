@@ -0,0 +1,340 @@
+/**
+ * Per Ankh Auth Core
+ *
+ * One API over the sign-in providers (Clerk for admins, Firebase Auth for
+ * members): the current user, their role and permissions, change
+ * events, sign-in and sign-out, page guards and the data-auth-* attribute
+ * handling. Providers register themselves; the first one (in registration
+ * order) with a signed-in user decides who the user is.
+ *
+ * A provider:
+ *   { id, init(), getUser(), signIn?(credentials), signOut(), subscribe?(listener) }
+ *   init       async setup; failures are logged and leave the provider signed out
+ *   getUser    the provider's user or null, read synchronously
+ *   subscribe  calls listener when the provider's user changes; returns an
+ *              unsubscribe function
+ *
+ * A user:
+ *   { id, email, name, imageUrl, role, roleAssigned, provider }
+ *   roleAssigned is false when the provider has no role on record, so role
+ *   is the member default. Providers may add more: Clerk users have the
+ *   sessionId of their Clerk session, Firebase users a loginTime.
+ *
+ * Changes are announced to onAuthChange() listeners and as a 'perankh:auth'
+ * event on document ({ detail: { user, role, permissions } }). Signing in
+ * or out is also broadcast to the site's other tabs: a sign-out in one tab
+ * signs the others out too, and guarded pages go back to the login page.
+ *
+ * Markup bindings, applied by updateAuthUI() on every change:
+ *   data-auth-required        shown to signed-in users
+ *   data-auth-hidden          shown to signed-out visitors
+ *   data-admin-only, .admin-only   shown to admins
+ *   data-permission="x"       shown to users with permission x (see roles.js)
+ *   a[href^="/admin/"]        hidden from signed-in users who lack the
+ *                             permission of the linked route
+ *   data-user-name / data-user-role   filled with the user's name / role
+ *
+ * Pages normally import ./auth.js, which registers the providers and also
+ * installs the perAnkhAuth globals for older scripts.
+ */
+
+import { ROUTE_CONFIG } from './clerk-config.js';
+import { findRoute } from '../routes.js';
+import { normalizeRole, hasRoleLevel, permissionsFor, roleLabel } from './roles.js';
+
+// Read by the Clerk sign-in component to return to the guarded page
+export const REDIRECT_AFTER_SIGN_IN_KEY = 'clerk:redirectAfterSignIn';
+
+// Expired sessions are noticed even when nothing else happens
+const RECHECK_INTERVAL = 5 * 60 * 1000;
+
+const providers = [];
+const listeners = new Set();
+let initPromise = null;
+let lastUserKey;
+
+// The site's other tabs; BroadcastChannel only reaches the same origin
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('perankh:auth') : null;
+
+if (channel) {
+  channel.onmessage = async ({ data }) => {
+    if (data.type === 'signed-out') {
+      if (isAuthenticated()) await signOut();
+      refreshAuth();
+      leaveGuardedPage();
+    } else if (data.type === 'signed-in') {
+      refreshAuth();
+    }
+  };
+}
+
+// After a sign-out elsewhere, pages that need a permission send the
+// visitor to the login page instead of leaving the tools on screen
+function leaveGuardedPage() {
+  const permission = routePermission();
+  if (permission && !isAuthenticated()) requireAuth({ permission });
+}
+
+function userKey(user) {
+  return user ? `${user.provider}:${user.id}:${user.role}` : '';
+}
+
+async function startProvider(provider) {
+  try {
+    await provider.init();
+  } catch (error) {
+    console.error(`[Auth] ${provider.id} provider failed to start:`, error);
+  }
+  if (typeof provider.subscribe === 'function') provider.subscribe(() => refreshAuth());
+}
+
+/**
+ * Add a provider. Providers registered after initAuth() start straight away.
+ * @param {Object} provider
+ */
+export function registerAuthProvider(provider) {
+  if (providers.some(p => p.id === provider.id)) return;
+  providers.push(provider);
+  if (initPromise) startProvider(provider).then(() => refreshAuth());
+}
+
+/**
+ * Start every provider (once) and resolve with the current user
+ * @returns {Promise<Object|null>}
+ */
+export function initAuth() {
+  if (!initPromise) {
+    initPromise = Promise.all(providers.map(startProvider)).then(() => {
+      setInterval(refreshAuth, RECHECK_INTERVAL);
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', updateAuthUI, { once: true });
+      }
+      refreshAuth();
+      return getUser();
+    });
+  }
+  return initPromise;
+}
+
+/**
+ * The signed-in user, or null
+ * @returns {Object|null}
+ */
+export function getUser() {
+  for (const provider of providers) {
+    let user = null;
+    try {
+      user = provider.getUser();
+    } catch (error) {
+      console.error(`[Auth] ${provider.id} provider could not read the user:`, error);
+    }
+    if (user) return { ...user, role: normalizeRole(user.role || 'member'), provider: provider.id };
+  }
+  return null;
+}
+
+/**
+ * @returns {boolean}
+ */
+export function isAuthenticated() {
+  return getUser() !== null;
+}
+
+/**
+ * The user's role; 'guest' when signed out
+ * @returns {string}
+ */
+export function getRole() {
+  const user = getUser();
+  return user ? user.role : 'guest';
+}
+
+/**
+ * Whether the user's role is at least the given one ('member', 'admin', ...)
+ * @param {string} role
+ * @returns {boolean}
+ */
+export function hasRole(role) {
+  return hasRoleLevel(getRole(), role);
+}
+
+/**
+ * @returns {string[]}
+ */
+export function getPermissions() {
+  return permissionsFor(getRole());
+}
+
+/**
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function can(permission) {
+  return getPermissions().includes(permission);
+}
+
+/**
+ * Call listener(user) whenever the user signs in or out or changes role
+ * @param {function(Object|null)} listener
+ * @returns {function()} Unsubscribe
+ */
+export function onAuthChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Re-read the user from the providers and announce it if it changed
+ */
+export function refreshAuth() {
+  const user = getUser();
+  const key = userKey(user);
+  if (key === lastUserKey) return;
+  const previousKey = lastUserKey;
+  lastUserKey = key;
+
+  // Only real transitions; a tab that loads signed out says nothing
+  if (channel && previousKey !== undefined) {
+    if (previousKey && !key) channel.postMessage({ type: 'signed-out' });
+    else if (!previousKey && key) channel.postMessage({ type: 'signed-in' });
+  }
+
+  updateAuthUI();
+  listeners.forEach(listener => {
+    try {
+      listener(user);
+    } catch (error) {
+      console.error('[Auth] Auth change listener failed:', error);
+    }
+  });
+  document.dispatchEvent(new CustomEvent('perankh:auth', {
+    detail: { user, role: getRole(), permissions: getPermissions() }
+  }));
+}
+
+/**
+ * Sign in with a provider
+ * @param {Object} [credentials] - Whatever the provider needs
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider id; defaults to the first that can sign in
+ * @returns {Promise<Object|null>} The user afterwards
+ * @throws {Error} When no provider can sign in, or the provider refuses
+ */
+export async function signIn(credentials, options = {}) {
+  await initAuth();
+  const provider = options.provider
+    ? providers.find(p => p.id === options.provider)
+    : providers.find(p => typeof p.signIn === 'function');
+  if (!provider || typeof provider.signIn !== 'function') {
+    throw new Error(options.provider ? `Unknown sign-in provider "${options.provider}"` : 'No sign-in provider available');
+  }
+
+  await provider.signIn(credentials);
+  refreshAuth();
+  return getUser();
+}
+
+/**
+ * Sign out of every provider that has a user
+ * @param {Object} [options]
+ * @param {string} [options.redirectTo] - Page to go to afterwards
+ * @returns {Promise<void>}
+ */
+export async function signOut(options = {}) {
+  const signedIn = providers.filter(p => {
+    try {
+      return p.getUser() !== null;
+    } catch {
+      return false;
+    }
+  });
+  const results = await Promise.allSettled(signedIn.map(p => p.signOut()));
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') console.error(`[Auth] ${signedIn[i].id} sign-out failed:`, result.reason);
+  });
+
+  refreshAuth();
+  if (options.redirectTo) window.location.href = options.redirectTo;
+}
+
+/**
+ * The permission a page needs, from its route's `permission`
+ * @param {string} [path] - Defaults to the current page
+ * @returns {string|null}
+ */
+export function routePermission(path = window.location.pathname) {
+  const route = findRoute(path.replace(/\/+$/, '') || '/');
+  return route && route.permission ? route.permission : null;
+}
+
+/**
+ * Send visitors without the required role or permission to the matching
+ * login page
+ * @param {Object} [options]
+ * @param {string} [options.role='member'] - 'member' or 'admin' (or any role)
+ * @param {string} [options.permission] - e.g. 'content:edit'
+ * @param {string} [options.redirectTo] - Where to return after signing in
+ * @returns {boolean} true when the user may stay
+ */
+export function requireAuth(options = {}) {
+  const { role = 'member', permission, redirectTo = window.location.pathname } = options;
+  const adminArea = hasRoleLevel(role, 'admin') || !!permission;
+
+  if (!isAuthenticated()) {
+    sessionStorage.setItem(REDIRECT_AFTER_SIGN_IN_KEY, redirectTo);
+    window.location.href = adminArea ? ROUTE_CONFIG.authPages.admin : ROUTE_CONFIG.authPages.member;
+    return false;
+  }
+
+  if (!hasRole(role)) {
+    console.warn(`[Auth] ${roleLabel(role)} access required`);
+    window.location.href = ROUTE_CONFIG.authPages.admin;
+    return false;
+  }
+
+  if (permission && !can(permission)) {
+    console.warn(`[Auth] Permission ${permission} required`);
+    window.location.href = ROUTE_CONFIG.authPages.admin;
+    return false;
+  }
+
+  return true;
+}
+
+// Show or hide an element, restoring the display it had before
+function setShown(el, show) {
+  if (el.dataset.originalDisplay === undefined) {
+    el.dataset.originalDisplay = el.style.display === 'none' ? '' : el.style.display;
+  }
+  el.style.display = show ? el.dataset.originalDisplay : 'none';
+  el.classList.toggle('auth-hidden', !show);
+}
+
+/**
+ * Apply the data-auth-* bindings to the page
+ */
+export function updateAuthUI() {
+  const user = getUser();
+  const role = getRole();
+  const isAdmin = hasRoleLevel(role, 'admin');
+
+  document.querySelectorAll('[data-auth-required]').forEach(el => setShown(el, !!user));
+  document.querySelectorAll('[data-auth-hidden]').forEach(el => setShown(el, !user));
+  document.querySelectorAll('[data-admin-only], .admin-only').forEach(el => setShown(el, isAdmin));
+  document.querySelectorAll('[data-permission]').forEach(el => setShown(el, can(el.dataset.permission)));
+
+  // Links to pages the signed-in user could not open
+  if (user) {
+    document.querySelectorAll('a[href^="/admin/"]').forEach(el => {
+      const permission = routePermission(el.getAttribute('href').split(/[?#]/)[0]);
+      if (permission) setShown(el, can(permission));
+    });
+  }
+
+  document.querySelectorAll('[data-user-name]').forEach(el => {
+    el.textContent = user ? (user.name || user.email || '') : '';
+  });
+  document.querySelectorAll('[data-user-role]').forEach(el => {
+    el.textContent = roleLabel(role);
+  });
+}
@@ -1,181 +1,109 @@
 /**
- * Per Ankh Unified Authentication Library
- * Handles both admin and member authentication
+ * Per Ankh Authentication
+ * The one auth module for pages: registers the Clerk and Firebase providers
+ * with auth-core.js and exports its API (user, role, permissions, events,
+ * sign-in and sign-out, guards).
+ *
+ *   <script type="module">
+ *     import { initAuth, getUser, can, onAuthChange } from '/src/auth/auth.js';
+ *   </script>
+ *
+ * Older scripts used the PerAnkhAuth class through the perAnkhAuth and
+ * perAnkhMemberAuth globals. Both are still installed, as shims over the
+ * same API, so pages can move over one at a time.
  */
 
+import {
+    initAuth,
+    getUser,
+    getRole,
+    hasRole,
+    isAuthenticated,
+    signIn,
+    signOut,
+    requireAuth,
+    updateAuthUI,
+    onAuthChange,
+    registerAuthProvider
+} from './auth-core.js';
+import { roleLabel } from './roles.js';
+import './clerk-auth.js';
+import { firebaseProvider } from './firebase-provider.js';
+import { startIdleTimeout } from './idle-timeout.js';
+
+registerAuthProvider(firebaseProvider);
+
+// Staff browsing the site are signed out after inactivity too
+startIdleTimeout();
+
+/**
+ * The old auth API, kept for pages that still use the perAnkhAuth global
+ * @deprecated Import from /src/auth/auth.js instead
+ */
 class PerAnkhAuth {
     constructor() {
-        this.adminSessionKey = 'perankh_admin_session';
-        this.adminActiveKey = 'perankh_admin_active';
-        this.memberSessionKey = 'perankh_member_session';
-        this.memberActiveKey = 'perankh_member_active';
         this.protectedElements = [];
-        this.firebaseUser = null;
-        this.init();
-    }
-
-    async init() {
-        try {
-            const { auth } = await import('/src/services/firebase-config.js');
-            const { onAuthStateChanged } = await import('firebase/auth');
-
-            onAuthStateChanged(auth, (user) => {
-                this.firebaseUser = user;
-                this.checkAuthStatus();
-            });
-        } catch (error) {
-            console.warn("Could not load Firebase Auth in PerAnkhAuth", error);
-        }
-
-        this.checkAuthStatus();
-        this.protectContent();
-        this.addAuthUI();
-
-        setInterval(() => this.checkAuthStatus(), 5 * 60 * 1000);
+        onAuthChange(() => this.checkAuthStatus());
+        initAuth().then(() => {
+            this.checkAuthStatus();
+            this.protectContent();
+            this.addAuthUI();
+        });
     }
 
     // --- Authentication checks ---
 
     isAuthenticated() {
-        return this.isAdminAuthenticated() || this.isMemberAuthenticated();
+        return isAuthenticated();
     }
 
     isAdminAuthenticated() {
-        if (this.firebaseUser) return true;
-
-        const session = localStorage.getItem(this.adminSessionKey);
-        const active = sessionStorage.getItem(this.adminActiveKey);
-        if (!session || !active) return false;
-
-        try {
-            const sessionData = JSON.parse(session);
-            const hoursDiff = (Date.now() - new Date(sessionData.loginTime)) / (1000 * 60 * 60);
-            if (hoursDiff >= 8) {
-                this.logout();
-                return false;
-            }
-            return true;
-        } catch {
-            return false;
-        }
+        return hasRole('admin');
     }
 
     isMemberAuthenticated() {
-        const encrypted = localStorage.getItem(this.memberSessionKey);
-        const active = sessionStorage.getItem(this.memberActiveKey);
-        if (!encrypted || !active) return false;
-
-        try {
-            const sessionData = this._decryptSessionData(encrypted);
-            if (!sessionData || !sessionData.sessionId || !sessionData.username) return false;
-
-            if (sessionData.expiresAt && Date.now() >= new Date(sessionData.expiresAt).getTime()) {
-                this.memberLogout();
-                return false;
-            }
-
-            const hoursDiff = (Date.now() - new Date(sessionData.loginTime)) / (1000 * 60 * 60);
-            if (hoursDiff >= 8) {
-                this.memberLogout();
-                return false;
-            }
-
-            return true;
-        } catch {
-            return false;
-        }
+        return isAuthenticated() && !hasRole('admin');
     }
 
     getUserType() {
-        if (this.isAdminAuthenticated()) return 'admin';
-        if (this.isMemberAuthenticated()) return 'member';
+        if (hasRole('admin')) return 'admin';
+        if (isAuthenticated()) return 'member';
         return 'guest';
     }
 
     getSession() {
-        try {
-            if (this.firebaseUser) {
-                return { username: this.firebaseUser.email, role: 'admin' };
-            }
-
-            let session = localStorage.getItem(this.adminSessionKey);
-            if (session) return JSON.parse(session);
-
-            const encrypted = localStorage.getItem(this.memberSessionKey);
-            if (encrypted) {
-                const data = this._decryptSessionData(encrypted);
-                return data ? { username: data.username, role: data.role, loginTime: data.loginTime, expiresAt: data.expiresAt } : null;
-            }
-
-            return null;
-        } catch {
-            return null;
-        }
+        const user = getUser();
+        if (!user) return null;
+        return { username: user.email || user.name, role: user.role, loginTime: user.loginTime, expiresAt: user.expiresAt };
     }
 
-    // --- Member login/logout ---
-
-    async memberLogin(username, password) {
-        if (!username || !password) throw new Error('Username and password are required');
-        if (username.length < 3 || password.length < 6) throw new Error('Invalid username or password format');
-
-        const isValid = await this._simulateServerAuth(username, password);
-        if (!isValid) throw new Error('Invalid username or password');
+    // --- Sign-in and sign-out ---
 
-        const sessionData = {
-            username,
-            role: 'member',
-            loginTime: new Date().toISOString(),
-            sessionId: this._generateSecureSessionId(),
-            expiresAt: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString()
-        };
-
-        localStorage.setItem(this.memberSessionKey, this._encryptSessionData(sessionData));
-        sessionStorage.setItem(this.memberActiveKey, 'true');
-        this.checkAuthStatus();
+    async memberLogin(email, password) {
+        await signIn({ email, password }, { provider: 'firebase' });
         window.location.href = '/';
         return true;
     }
 
     memberLogout() {
-        localStorage.removeItem(this.memberSessionKey);
-        sessionStorage.removeItem(this.memberActiveKey);
-        this.checkAuthStatus();
+        return signOut();
     }
 
-    // --- Admin logout (includes Firebase sign-out) ---
-
-    async logout() {
-        try {
-            const { auth } = await import('/src/services/firebase-config.js');
-            const { signOut } = await import('firebase/auth');
-            await signOut(auth);
-        } catch { /* Firebase may not be loaded */ }
-
-        localStorage.removeItem(this.adminSessionKey);
-        sessionStorage.removeItem(this.adminActiveKey);
-        localStorage.removeItem(this.memberSessionKey);
-        sessionStorage.removeItem(this.memberActiveKey);
-        window.location.href = '/admin';
+    logout() {
+        return signOut({ redirectTo: '/admin' });
     }
 
     // --- Page protection ---
 
-    protectPage(requiredRole = 'admin') {
-        if (requiredRole === 'admin' && !this.isAdminAuthenticated()) {
-            window.location.href = '/admin';
-            return false;
-        }
-        if (requiredRole === 'member' && !this.isAuthenticated()) {
-            window.location.href = '/member/login';
-            return false;
-        }
+    async protectPage(requiredRole = 'admin') {
+        await initAuth();
+        if (!requireAuth({ role: requiredRole })) return false;
         this.showAdminContent();
         return true;
     }
 
     requireAuth(callback) {
-        if (this.isAuthenticated()) return callback();
+        if (isAuthenticated()) return callback();
         alert('Access required. Please login first.');
         this.redirectToLogin();
         return false;
@@ -188,25 +116,12 @@ class PerAnkhAuth {
     // --- UI updates ---
 
     checkAuthStatus() {
-        const isAuth = this.isAuthenticated();
-        const userType = this.getUserType();
-
-        document.querySelectorAll('[data-auth-required]').forEach(el => {
-            if (isAuth) {
-                el.style.display = el.dataset.originalDisplay || 'block';
-                el.classList.remove('auth-hidden');
-            } else {
-                el.dataset.originalDisplay = el.style.display;
-                el.style.display = 'none';
-                el.classList.add('auth-hidden');
-            }
-        });
-
-        document.querySelectorAll('.admin-only').forEach(el => {
-            el.style.display = isAuth ? 'block' : 'none';
-        });
-
-        this.updateNavigationForUserType(userType);
+        updateAuthUI();
+        if (isAuthenticated()) {
+            this.protectedElements.forEach(({ overlay }) => overlay.remove());
+            this.protectedElements = [];
+        }
+        this.updateNavigationForUserType(this.getUserType());
     }
 
     updateNavigationForUserType(userType) {
@@ -244,16 +159,7 @@ class PerAnkhAuth {
     }
 
     formatRole(role) {
-        const roleMap = {
-            'super_admin': 'Super Admin',
-            'admin': 'Admin',
-            'moderator': 'Moderator',
-            'content_manager': 'Content Manager',
-            'member': 'Member',
-            'premium_member': 'Premium Member',
-            'community_leader': 'Community Leader'
-        };
-        return roleMap[role] || role || 'Admin';
+        return role ? roleLabel(role) : 'Admin';
     }
 
     protectContent() {
@@ -355,40 +261,31 @@ class PerAnkhAuth {
         });
         this.checkAuthStatus();
     }
-
-    // --- Private helpers ---
-
-    async _simulateServerAuth(username, password) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        return username.length >= 3 && password.length >= 6;
-    }
-
-    _generateSecureSessionId() {
-        const array = new Uint8Array(32);
-        crypto.getRandomValues(array);
-        return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
-    }
-
-    _encryptSessionData(data) {
-        return btoa(JSON.stringify(data));
-    }
-
-    _decryptSessionData(encryptedData) {
-        try {
-            return JSON.parse(atob(encryptedData));
-        } catch {
-            return null;
-        }
-    }
 }
 
-// Initialize global instances
+// Global instances for older scripts; perAnkhMemberAuth is the alias
+// member pages used
 const perAnkhAuth = new PerAnkhAuth();
-// Backwards-compatible alias for member pages
-const perAnkhMemberAuth = perAnkhAuth;
-
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => perAnkhAuth.checkAuthStatus());
-} else {
-    perAnkhAuth.checkAuthStatus();
-}
+window.PerAnkhAuth = PerAnkhAuth;
+window.perAnkhAuth = perAnkhAuth;
+window.perAnkhMemberAuth = perAnkhAuth;
+
+export {
+    initAuth,
+    getUser,
+    getRole,
+    hasRole,
+    isAuthenticated,
+    signIn,
+    signOut,
+    requireAuth,
+    updateAuthUI,
+    onAuthChange,
+    perAnkhAuth
+};
+export { can, getPermissions, refreshAuth } from './auth-core.js';
+export {
+    MemberAuthError,
+    createMemberAccount,
+    sendPasswordReset
+} from './firebase-provider.js';
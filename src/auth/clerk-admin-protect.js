@@ -6,14 +6,11 @@
  *   <script type="module" src="/src/auth/clerk-admin-protect.js"></script>
  */
 
-import { 
-  initClerk, 
-  isAuthenticated, 
-  isAdmin, 
-  requireAuth,
-  clerk 
-} from './clerk-auth.js';
+import './clerk-auth.js';
+import { initAuth, getUser, can, routePermission, REDIRECT_AFTER_SIGN_IN_KEY } from './auth-core.js';
 import { CLERK_PUBLISHABLE_KEY } from './clerk-config.js';
+import { startIdleTimeout } from './idle-timeout.js';
+import { startSessionTracking } from './sessions.js';
 
 async function protectAdminPage() {
     // Check if Clerk is configured
@@ -27,35 +24,29 @@ async function protectAdminPage() {
         // Show loading state
         showLoading();
 
-        // Initialize Clerk
-        await initClerk();
+        // Initialize the auth providers
+        await initAuth();
+        const user = getUser();
 
         // Check authentication
-        if (!isAuthenticated()) {
+        if (!user) {
             // Not authenticated - redirect to login
             console.log('[Admin Protect] Not authenticated, redirecting to login');
             const currentPath = window.location.pathname;
-            sessionStorage.setItem('clerk:redirectAfterSignIn', currentPath);
+            sessionStorage.setItem(REDIRECT_AFTER_SIGN_IN_KEY, currentPath);
             window.location.href = '/admin';
             return;
         }
 
-        // Check admin role
-        // NOTE: If no role is set in Clerk user metadata yet, allow access
-        // so the site owner can complete initial setup. Once roles are configured
-        // in the Clerk Dashboard (user publicMetadata.role = "admin"), this will
-        // enforce proper role-based access.
-        if (!isAdmin()) {
-            const user = clerk;
-            const hasAnyRole = user?.user?.publicMetadata?.role || user?.user?.unsafeMetadata?.role;
-            if (hasAnyRole) {
-                // Role exists but isn't admin — deny access
-                console.warn('[Admin Protect] Access denied: User is not an admin');
-                showAccessDenied();
-                return;
-            }
-            // No role configured yet — allow access for initial setup
-            console.warn('[Admin Protect] No role configured in Clerk metadata. Allowing access for initial setup.');
+        // Check the permission this page's route needs (src/routes.js);
+        // pages without one, like the protected public pages, need admin:access.
+        // Users without a role in their Clerk metadata are members and are
+        // refused like any other role without the permission.
+        const permission = routePermission() || 'admin:access';
+        if (!can(permission)) {
+            console.warn(`[Admin Protect] Access denied: ${permission} required`);
+            showAccessDenied(user.roleAssigned);
+            return;
         }
 
         // User is authenticated and is admin - show content
@@ -65,6 +56,10 @@ async function protectAdminPage() {
         // Update UI with user info
         updateAdminUI();
 
+        // Sign out after inactivity, and when the session is revoked
+        startIdleTimeout();
+        startSessionTracking();
+
         console.log('[Admin Protect] Admin access granted');
 
     } catch (error) {
@@ -131,7 +126,7 @@ function showAdminContent() {
     mainContent.style.pointerEvents = '';
 }
 
-function showAccessDenied() {
+function showAccessDenied(roleAssigned = true) {
     hideLoading();
     document.body.innerHTML = `
         <div style="
@@ -149,7 +144,9 @@ function showAccessDenied() {
             <div style="font-size: 4rem; margin-bottom: 1rem;">🔒</div>
             <h1 style="font-family: 'Cinzel', serif; color: #D4AF37; margin-bottom: 1rem;">Access Denied</h1>
             <p style="color: rgba(248, 248, 255, 0.7); margin-bottom: 2rem; max-width: 400px;">
-                You do not have administrator privileges. This area is restricted to authorized administrators only.
+                ${roleAssigned
+                    ? 'Your role does not give you access to this page. Ask an administrator if you need it.'
+                    : 'Your account has no staff role yet. Ask an administrator to assign one in the Clerk Dashboard.'}
             </p>
             <div style="display: flex; gap: 1rem;">
                 <a href="/" style="
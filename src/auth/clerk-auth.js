@@ -4,6 +4,12 @@
  * Uses @clerk/clerk-js v5 (npm import, not CDN).
  * Replaces the previous CDN-based v4 approach that caused
  * "Script loaded but window.Clerk not available" errors.
+ *
+ * Registers itself as the 'clerk' provider of auth-core.js on import;
+ * requireAuth() and updateUI() here are kept for existing pages and go
+ * through the auth core. Staff are also signed in to Firebase Auth while
+ * their Clerk session lasts (firebase-bridge.js), for the Firestore and
+ * Storage rules.
  */
 
 import { Clerk } from '@clerk/clerk-js';
@@ -13,6 +19,13 @@ import {
   ROUTE_CONFIG,
   CLERK_APPEARANCE
 } from './clerk-config.js';
+import {
+  registerAuthProvider,
+  requireAuth as requireRole,
+  updateAuthUI,
+  getRole
+} from './auth-core.js';
+import { syncFirebaseSession } from './firebase-bridge.js';
 
 // Global Clerk instance
 let clerk = null;
@@ -78,6 +91,7 @@ function setupAuthListeners() {
   if (!clerk) return;
 
   clerk.addListener(({ user, session }) => {
+    syncFirebaseSession(clerk, clerkProvider.getUser()?.role);
     if (user && session) {
       console.log('[Clerk] User authenticated:', user.id);
       document.dispatchEvent(new CustomEvent('clerk:auth', {
@@ -98,6 +112,15 @@ function isAuthenticated() {
   return clerk?.user !== null && clerk?.user !== undefined && clerk?.session !== null && clerk?.session !== undefined;
 }
 
+/**
+ * Role recorded for the user in Clerk. Only publicMetadata counts:
+ * unsafeMetadata can be written by the user themselves.
+ * @returns {string|null}
+ */
+function assignedRole() {
+  return clerk?.user?.publicMetadata?.role || null;
+}
+
 /**
  * Check if user is an admin
  * @returns {boolean}
@@ -106,7 +129,7 @@ function isAdmin() {
   if (!isAuthenticated()) return false;
 
   const user = clerk.user;
-  const role = user.publicMetadata?.role || user.unsafeMetadata?.role;
+  const role = assignedRole();
 
   if (role && ORGANIZATION_SETTINGS.ADMIN_ROLES.includes(role)) {
     return true;
@@ -151,15 +174,12 @@ function getCurrentUser() {
 }
 
 /**
- * Get user role
+ * Get user role (see roles.js)
  * @returns {string|null}
  */
 function getUserRole() {
   if (!isAuthenticated()) return null;
-
-  if (isAdmin()) return 'admin';
-  if (isMember()) return 'member';
-  return 'guest';
+  return getRole();
 }
 
 /**
@@ -170,22 +190,8 @@ function getUserRole() {
  * @returns {boolean}
  */
 function requireAuth(options = {}) {
-  const { redirectTo = window.location.pathname, adminOnly = false } = options;
-
-  if (!isAuthenticated()) {
-    sessionStorage.setItem('clerk:redirectAfterSignIn', redirectTo);
-    const loginUrl = adminOnly ? ROUTE_CONFIG.authPages.admin : ROUTE_CONFIG.authPages.member;
-    window.location.href = loginUrl;
-    return false;
-  }
-
-  if (adminOnly && !isAdmin()) {
-    console.warn('[Clerk] Admin access required');
-    window.location.href = '/admin';
-    return false;
-  }
-
-  return true;
+  const { redirectTo, adminOnly = false } = options;
+  return requireRole({ role: adminOnly ? 'admin' : 'member', redirectTo });
 }
 
 /**
@@ -203,6 +209,7 @@ async function signOut(options = {}) {
 
   try {
     await clerk.signOut();
+    await syncFirebaseSession(clerk);
     console.log('[Clerk] Signed out successfully');
 
     if (redirectTo) {
@@ -312,33 +319,9 @@ function mountUserButton(target, options = {}) {
  * Update UI based on authentication state
  */
 function updateUI() {
-  const isAuth = isAuthenticated();
-  const user = getCurrentUser();
-  const role = getUserRole();
-
-  document.querySelectorAll('[data-auth-required]').forEach(el => {
-    el.style.display = isAuth ? (el.dataset.originalDisplay || 'block') : 'none';
-  });
-
-  document.querySelectorAll('[data-auth-hidden]').forEach(el => {
-    el.style.display = isAuth ? 'none' : (el.dataset.originalDisplay || 'block');
-  });
-
-  document.querySelectorAll('[data-admin-only]').forEach(el => {
-    const show = isAuth && role === 'admin';
-    el.style.display = show ? (el.dataset.originalDisplay || 'block') : 'none';
-  });
-
-  document.querySelectorAll('[data-user-name]').forEach(el => {
-    el.textContent = user?.fullName || user?.email || '';
-  });
-
-  document.querySelectorAll('[data-user-role]').forEach(el => {
-    el.textContent = role || 'Guest';
-  });
-
+  updateAuthUI();
   document.dispatchEvent(new CustomEvent('clerk:uiUpdated', {
-    detail: { isAuthenticated: isAuth, user, role }
+    detail: { isAuthenticated: isAuthenticated(), user: getCurrentUser(), role: getRole() }
   }));
 }
 
@@ -353,8 +336,51 @@ function openUserProfile() {
   clerk.openUserProfile();
 }
 
+// Clerk as an auth-core provider. Sign-in happens in Clerk's own
+// components (mountSignIn), so signIn() just opens the sign-in modal.
+const clerkProvider = {
+  id: 'clerk',
+  async init() {
+    if (!CLERK_PUBLISHABLE_KEY) return;
+    await initClerk();
+    await syncFirebaseSession(clerk, this.getUser()?.role);
+  },
+  getUser() {
+    if (!isAuthenticated()) return null;
+    const user = getCurrentUser();
+    const role = assignedRole();
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.fullName || user.email,
+      imageUrl: user.imageUrl,
+      role: isAdmin() && !ORGANIZATION_SETTINGS.ADMIN_ROLES.includes(role) ? 'admin' : (role || 'member'),
+      roleAssigned: !!role,
+      sessionId: clerk.session.id,
+    };
+  },
+  async signIn() {
+    await initClerk();
+    clerk?.openSignIn({ fallbackRedirectUrl: window.location.href });
+  },
+  signOut() {
+    return signOut({ redirectTo: null });
+  },
+  subscribe(listener) {
+    document.addEventListener('clerk:auth', listener);
+    document.addEventListener('clerk:signout', listener);
+    return () => {
+      document.removeEventListener('clerk:auth', listener);
+      document.removeEventListener('clerk:signout', listener);
+    };
+  },
+};
+
+registerAuthProvider(clerkProvider);
+
 // Export the public API
 export {
+  clerkProvider,
   initClerk,
   isAuthenticated,
   isAdmin,
@@ -9,35 +9,29 @@
  * 5. The key will be injected by the login pages
  */
 
+import { routePaths } from '../routes.js';
+import { ADMIN_ROLES, MEMBER_ROLES } from './roles.js';
+
 // Clerk Publishable Key - read from Vite environment (build time) or window global (runtime)
 const CLERK_PUBLISHABLE_KEY = import.meta.env?.VITE_CLERK_PUBLISHABLE_KEY || window.CLERK_PUBLISHABLE_KEY || '';
 
-// Organization settings
+// Organization settings; the roles themselves are defined in roles.js
 const ORGANIZATION_SETTINGS = {
-  // Define admin roles
-  ADMIN_ROLES: ['admin', 'super_admin', 'owner'],
-  // Define member roles
-  MEMBER_ROLES: ['member', 'premium_member', 'community_leader'],
+  ADMIN_ROLES,
+  MEMBER_ROLES,
 };
 
-// Route configuration
+// Route configuration; the route lists come from the route manifest (src/routes.js)
 const ROUTE_CONFIG = {
   // Public routes (no authentication required)
-  publicRoutes: ['/', '/contact', '/donate', '/events', '/per-ankh', '/become-a-member'],
-  
+  publicRoutes: routePaths('public'),
+
   // Admin-only routes
-  adminRoutes: [
-    '/admin/dashboard',
-    '/admin/users',
-    '/admin/content',
-    '/admin/analytics',
-    '/admin/settings',
-    '/admin/notifications'
-  ],
-  
+  adminRoutes: routePaths('admin'),
+
   // Member-only routes
-  memberRoutes: ['/member/dashboard', '/member/profile'],
-  
+  memberRoutes: routePaths('member'),
+
   // Login/signup pages
   authPages: {
     admin: '/admin',
@@ -51,6 +45,19 @@ const ROUTE_CONFIG = {
   },
 };
 
+// Session settings for staff (anyone with admin:access). Set
+// VITE_IDLE_TIMEOUT_MINUTES to change the idle timeout; 0 turns it off.
+const SESSION_SETTINGS = {
+  // Signed out after this long without activity in any tab
+  idleTimeoutMinutes: Number(import.meta.env?.VITE_IDLE_TIMEOUT_MINUTES || 30),
+  // Countdown shown before the idle sign-out
+  idleWarningSeconds: 60,
+  // How often a signed-in browser reports itself in the sessions list
+  heartbeatMinutes: 2,
+  // Sessions not seen for this long are no longer listed as active
+  activeWithinMinutes: 10,
+};
+
 // Clerk appearance customization - matches Per Ankh's sacred theme
 const CLERK_APPEARANCE = {
   variables: {
@@ -134,6 +141,7 @@ export {
   CLERK_PUBLISHABLE_KEY,
   ORGANIZATION_SETTINGS,
   ROUTE_CONFIG,
+  SESSION_SETTINGS,
   CLERK_APPEARANCE,
 };
 
@@ -0,0 +1,73 @@
+/**
+ * Clerk → Firebase Auth Bridge
+ *
+ * Staff sign in with Clerk, but Firestore and Storage only know Firebase
+ * Auth users. While a Clerk session is open, this keeps Firebase signed in
+ * as the same person: api/firebase-token.js checks the Clerk session on
+ * the server and returns a custom token whose uid is the Clerk user id and
+ * whose `role` claim is their role, and the browser signs in with it.
+ * When the Clerk session ends, the bridged Firebase user is signed out.
+ *
+ * Failures are logged and leave Clerk sign-in working; the rules then deny
+ * the writes.
+ */
+
+import { normalizeRole } from './roles.js';
+
+const TOKEN_ENDPOINT = '/api/firebase-token';
+
+// One sync at a time: Clerk can report several changes in a row
+let pending = Promise.resolve();
+
+async function firebaseAuth() {
+  const { auth } = await import('/src/services/firebase-config.js');
+  if (!auth) return null;
+  await auth.authStateReady();
+  return auth;
+}
+
+// Firebase user signed in by this bridge, with its claims
+async function bridgedUser(auth) {
+  const user = auth.currentUser;
+  if (!user) return null;
+  const { claims } = await user.getIdTokenResult();
+  return claims.firebase?.sign_in_provider === 'custom' ? { user, claims } : null;
+}
+
+async function sync(clerk, role) {
+  const auth = await firebaseAuth();
+  if (!auth) return;
+  const { signInWithCustomToken, signOut } = await import('firebase/auth');
+  const bridged = await bridgedUser(auth);
+
+  if (!clerk?.user || !clerk.session) {
+    if (bridged) await signOut(auth);
+    return;
+  }
+
+  if (bridged && bridged.user.uid === clerk.user.id && bridged.claims.role === role) return;
+
+  const response = await fetch(TOKEN_ENDPOINT, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${await clerk.session.getToken()}` },
+  });
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}));
+    throw new Error(error || `${TOKEN_ENDPOINT} answered ${response.status}`);
+  }
+  const { token } = await response.json();
+  await signInWithCustomToken(auth, token);
+}
+
+/**
+ * Bring Firebase Auth in line with the Clerk session
+ * @param {Object|null} clerk - The loaded Clerk instance
+ * @param {string} [role] - The Clerk user's role (see roles.js)
+ * @returns {Promise<void>} Never rejects
+ */
+export function syncFirebaseSession(clerk, role = 'member') {
+  pending = pending
+    .then(() => sync(clerk, normalizeRole(role)))
+    .catch(error => console.warn('[Auth] Could not connect the Clerk session to Firebase:', error));
+  return pending;
+}
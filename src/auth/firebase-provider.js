@@ -0,0 +1,229 @@
+/**
+ * Firebase Auth Provider
+ *
+ * Member accounts on Firebase Auth (email and password), as an auth-core
+ * provider:
+ *   - only users with a verified email count as signed in; signing in with
+ *     an unverified address sends the verification email again
+ *   - staff bridged in from Clerk (custom-token users, firebase-bridge.js)
+ *     are left to the Clerk provider
+ *   - the session is Firebase's own ID token, refreshed by the SDK; the
+ *     role comes from its `role` custom claim (member when it has none)
+ *   - repeated wrong passwords are stopped by Firebase Auth itself, which
+ *     throttles them server-side (auth/too-many-requests) whatever browser
+ *     they come from; that is reported as a `locked` error without a time,
+ *     since Firebase does not say how long it lasts
+ *
+ * The old base64 localStorage sessions (perankh_member_session and
+ * perankh_admin_session) are no longer honoured and are cleared on start,
+ * as is the failed-attempt count earlier versions kept in the browser.
+ */
+
+import { ROUTE_CONFIG } from './clerk-config.js';
+
+const LEGACY_SESSION_KEYS = ['perankh_member_session', 'perankh_admin_session'];
+const LEGACY_ACTIVE_KEYS = ['perankh_member_active', 'perankh_admin_active'];
+const LEGACY_LOCKOUT_KEY = 'perankh_member_lockout';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const listeners = new Set();
+let firebaseUser = null;
+let tokenClaims = null;
+let tokenExpiresAt = null;
+
+/**
+ * Thrown when member sign-in, sign-up or password reset fails. `code` is
+ * one of: not-configured, invalid-credentials, unverified, locked,
+ * disabled, email-in-use, weak-password, invalid-email, failed.
+ */
+export class MemberAuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MemberAuthError';
+    this.code = code;
+  }
+}
+
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+async function firebaseAuth() {
+  const { auth } = await import('/src/services/firebase-config.js');
+  if (!auth) throw new MemberAuthError('not-configured', 'Member sign-in is not configured');
+  return auth;
+}
+
+// Links in verification and reset emails lead back to the member sign-in
+function emailActionSettings() {
+  return { url: `${window.location.origin}${ROUTE_CONFIG.authPages.member}` };
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Firebase error codes, as MemberAuthErrors
+function toMemberAuthError(error) {
+  switch (error.code) {
+    case 'auth/invalid-credential':
+    case 'auth/invalid-login-credentials':
+    case 'auth/wrong-password':
+    case 'auth/user-not-found':
+      return new MemberAuthError('invalid-credentials', 'Incorrect email or password');
+    case 'auth/invalid-email':
+      return new MemberAuthError('invalid-email', 'Enter a valid email address');
+    case 'auth/too-many-requests':
+      return new MemberAuthError('locked', 'Too many attempts. Please try again later.');
+    case 'auth/user-disabled':
+      return new MemberAuthError('disabled', 'This account has been disabled');
+    case 'auth/email-already-in-use':
+      return new MemberAuthError('email-in-use', 'An account already exists for this email');
+    case 'auth/weak-password':
+    case 'auth/password-does-not-meet-requirements':
+      return new MemberAuthError('weak-password', `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    default:
+      console.error('[Auth] Firebase Auth error:', error);
+      return new MemberAuthError('failed', 'Sign-in failed. Please try again.');
+  }
+}
+
+// --- Accounts ---
+
+/**
+ * Create a member account and send its verification email. The new user
+ * is signed out again: they sign in once the address is verified.
+ * @param {{email: string, password: string, name?: string}} details
+ * @returns {Promise<void>}
+ * @throws {MemberAuthError}
+ */
+export async function createMemberAccount({ email, password, name } = {}) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new MemberAuthError('weak-password', `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const auth = await firebaseAuth();
+  const { createUserWithEmailAndPassword, updateProfile, sendEmailVerification, signOut } = await import('firebase/auth');
+
+  try {
+    const { user } = await createUserWithEmailAndPassword(auth, normalizeEmail(email), password);
+    if (name) await updateProfile(user, { displayName: name });
+    await sendEmailVerification(user, emailActionSettings());
+    await signOut(auth);
+  } catch (error) {
+    throw error instanceof MemberAuthError ? error : toMemberAuthError(error);
+  }
+}
+
+/**
+ * Email a password reset link. Resolves whether or not the address has an
+ * account, so the form does not reveal who is a member.
+ * @param {string} email
+ * @returns {Promise<void>}
+ * @throws {MemberAuthError} For a malformed address or when Firebase is unavailable
+ */
+export async function sendPasswordReset(email) {
+  const auth = await firebaseAuth();
+  const { sendPasswordResetEmail } = await import('firebase/auth');
+
+  try {
+    await sendPasswordResetEmail(auth, normalizeEmail(email), emailActionSettings());
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return;
+    throw toMemberAuthError(error);
+  }
+}
+
+export const firebaseProvider = {
+  id: 'firebase',
+
+  async init() {
+    LEGACY_SESSION_KEYS.forEach(key => localStorage.removeItem(key));
+    LEGACY_ACTIVE_KEYS.forEach(key => sessionStorage.removeItem(key));
+    localStorage.removeItem(LEGACY_LOCKOUT_KEY);
+
+    const { auth } = await import('/src/services/firebase-config.js');
+    if (!auth) return;
+    const { onIdTokenChanged } = await import('firebase/auth');
+
+    // ID token changes cover sign-in, sign-out, refreshes and new claims
+    await new Promise(resolve => {
+      onIdTokenChanged(auth, async user => {
+        firebaseUser = user;
+        tokenClaims = null;
+        tokenExpiresAt = null;
+        if (user) {
+          try {
+            const token = await user.getIdTokenResult();
+            tokenClaims = token.claims;
+            tokenExpiresAt = token.expirationTime;
+          } catch (error) {
+            console.warn('[Auth] Could not read the Firebase ID token:', error);
+          }
+        }
+        notify();
+        resolve();
+      });
+    });
+  },
+
+  getUser() {
+    if (!firebaseUser || !tokenClaims || !tokenClaims.email_verified) return null;
+    if (tokenClaims.firebase?.sign_in_provider === 'custom') return null;
+    return {
+      id: firebaseUser.uid,
+      email: firebaseUser.email,
+      name: firebaseUser.displayName || firebaseUser.email,
+      imageUrl: firebaseUser.photoURL,
+      role: tokenClaims.role || 'member',
+      roleAssigned: !!tokenClaims.role,
+      loginTime: new Date(tokenClaims.auth_time * 1000).toISOString(),
+      expiresAt: tokenExpiresAt,
+    };
+  },
+
+  /**
+   * Member sign-in
+   * @param {{email: string, password: string}} credentials
+   * @throws {MemberAuthError}
+   */
+  async signIn({ email, password } = {}) {
+    if (!email || !password) throw new MemberAuthError('invalid-credentials', 'Email and password are required');
+
+    const auth = await firebaseAuth();
+    const { signInWithEmailAndPassword, sendEmailVerification, signOut } = await import('firebase/auth');
+
+    let user;
+    try {
+      ({ user } = await signInWithEmailAndPassword(auth, normalizeEmail(email), password));
+    } catch (error) {
+      throw toMemberAuthError(error);
+    }
+
+    if (!user.emailVerified) {
+      await sendEmailVerification(user, emailActionSettings()).catch(error => console.warn('[Auth] Could not send verification email:', error));
+      await signOut(auth);
+      throw new MemberAuthError('unverified', 'Please verify your email first. We have sent you a new link.');
+    }
+
+    // Wait for the token so getUser() has the claims straight away
+    const token = await user.getIdTokenResult();
+    firebaseUser = user;
+    tokenClaims = token.claims;
+    tokenExpiresAt = token.expirationTime;
+    notify();
+  },
+
+  async signOut() {
+    const { auth } = await import('/src/services/firebase-config.js');
+    if (auth && auth.currentUser) {
+      const { signOut } = await import('firebase/auth');
+      await signOut(auth);
+    }
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
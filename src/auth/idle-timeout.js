@@ -0,0 +1,132 @@
+/**
+ * Idle Timeout for Staff Sessions
+ *
+ * Signs staff (anyone with admin:access) out after
+ * SESSION_SETTINGS.idleTimeoutMinutes without activity, so an unattended
+ * laptop does not keep admin access. A warning with a countdown comes
+ * idleWarningSeconds before; any activity dismisses it.
+ *
+ * Activity in any tab counts: the last activity time is shared through
+ * localStorage, and the sign-out reaches the other tabs through auth-core.
+ *
+ *   import { startIdleTimeout } from '/src/auth/idle-timeout.js';
+ *   startIdleTimeout();
+ */
+
+import { can, onAuthChange, signOut } from './auth-core.js';
+import { ROUTE_CONFIG, SESSION_SETTINGS } from './clerk-config.js';
+
+const LAST_ACTIVITY_KEY = 'perankh:lastActivity';
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll'];
+const CHECK_INTERVAL = 1000;
+// Activity is written to localStorage at most this often
+const WRITE_THROTTLE = 5000;
+
+let started = false;
+let timer = null;
+let lastWrite = 0;
+let dialog = null;
+
+function lastActivity() {
+  return Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || Date.now();
+}
+
+function recordActivity() {
+  const now = Date.now();
+  if (now - lastWrite < WRITE_THROTTLE && !dialog) return;
+  lastWrite = now;
+  localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+  hideWarning();
+}
+
+function formatCountdown(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function showWarning(remaining) {
+  if (!dialog) {
+    dialog = document.createElement('div');
+    dialog.id = 'idle-timeout-warning';
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-live', 'assertive');
+    dialog.innerHTML = `
+      <div style="
+        position: fixed; inset: 0; z-index: 10000;
+        background: rgba(10, 10, 10, 0.8);
+        display: flex; align-items: center; justify-content: center;
+      ">
+        <div style="
+          background: rgba(28, 28, 28, 0.98);
+          border: 1px solid rgba(212, 175, 55, 0.4);
+          border-radius: 20px; padding: 2rem; max-width: 380px; text-align: center;
+          color: #F8F8FF; font-family: 'Inter', sans-serif;
+        ">
+          <div style="font-size: 2.5rem; margin-bottom: 0.5rem;">⏳</div>
+          <h2 style="font-family: 'Cinzel', serif; color: #D4AF37; margin-bottom: 0.75rem;">Still there?</h2>
+          <p style="color: rgba(248, 248, 255, 0.75); margin-bottom: 1.5rem;">
+            You will be signed out in <strong data-idle-countdown></strong> because of inactivity.
+          </p>
+          <button type="button" data-idle-stay style="
+            background: linear-gradient(135deg, #D4AF37 0%, #B8860B 100%);
+            color: #0A0A0A; border: none; padding: 0.75rem 1.5rem;
+            border-radius: 10px; font-weight: 600; cursor: pointer;
+          ">Stay signed in</button>
+        </div>
+      </div>
+    `;
+    dialog.querySelector('[data-idle-stay]').addEventListener('click', recordActivity);
+    document.body.appendChild(dialog);
+    dialog.querySelector('[data-idle-stay]').focus();
+  }
+  dialog.querySelector('[data-idle-countdown]').textContent = formatCountdown(remaining);
+}
+
+function hideWarning() {
+  if (!dialog) return;
+  dialog.remove();
+  dialog = null;
+}
+
+async function check() {
+  const timeout = SESSION_SETTINGS.idleTimeoutMinutes * 60 * 1000;
+  const remaining = lastActivity() + timeout - Date.now();
+
+  if (remaining <= 0) {
+    stop();
+    console.warn('[Auth] Signed out after inactivity');
+    await signOut({ redirectTo: ROUTE_CONFIG.authPages.admin });
+  } else if (remaining <= SESSION_SETTINGS.idleWarningSeconds * 1000) {
+    showWarning(remaining);
+  } else {
+    hideWarning();
+  }
+}
+
+function start() {
+  if (timer) return;
+  recordActivity();
+  ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, recordActivity, { passive: true, capture: true }));
+  timer = setInterval(check, CHECK_INTERVAL);
+}
+
+function stop() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, recordActivity, { capture: true }));
+  hideWarning();
+}
+
+/**
+ * Watch for inactivity while a staff member is signed in (call once per
+ * page; later calls do nothing)
+ */
+export function startIdleTimeout() {
+  if (started || !(SESSION_SETTINGS.idleTimeoutMinutes > 0)) return;
+  started = true;
+
+  const update = () => (can('admin:access') ? start() : stop());
+  onAuthChange(update);
+  update();
+}
@@ -0,0 +1,127 @@
+/**
+ * Roles and Permissions for Per Ankh
+ *
+ * Every auth provider reports a role name; everything that decides access
+ * goes through the permission matrix here, so a role means the same thing
+ * whichever provider signed the user in. Levels are only for "at least
+ * staff" style checks; features check a permission.
+ *
+ *   guest    signed out
+ *   member   member, premium_member, community_leader
+ *   staff    moderator, content_manager
+ *   admin    admin, super_admin, owner
+ *
+ * Plain data only: this module is loaded by Node as well as the browser.
+ */
+
+export const ADMIN_ROLES = ['admin', 'super_admin', 'owner'];
+export const STAFF_ROLES = ['moderator', 'content_manager'];
+export const MEMBER_ROLES = ['member', 'premium_member', 'community_leader'];
+
+export const ROLE_LABELS = {
+  guest: 'Guest',
+  member: 'Member',
+  premium_member: 'Premium Member',
+  community_leader: 'Community Leader',
+  moderator: 'Moderator',
+  content_manager: 'Content Manager',
+  admin: 'Admin',
+  super_admin: 'Super Admin',
+  owner: 'Owner',
+};
+
+/**
+ * Every permission, with what it allows. Route guards (the `permission` of
+ * a route in src/routes.js), data-permission markup and the Firestore and
+ * Storage rules all use these names.
+ */
+export const PERMISSIONS = {
+  'members:content': 'See member-only pages and content',
+  'admin:access': 'Open the admin dashboard',
+  'internal:view': 'Read the internal planning pages',
+  'analytics:view': 'See site analytics',
+  'content:edit': 'Edit page drafts and profiles',
+  'content:publish': 'Publish pages and restore revisions',
+  'media:manage': 'Upload, edit and delete media library files',
+  'members:approve': 'Approve and suspend members',
+  'notifications:send': 'Send notifications to members',
+  'users:manage': 'Add users and change their roles',
+  'settings:write': 'Change site settings',
+};
+
+const MEMBER_PERMISSIONS = ['members:content'];
+const STAFF_PERMISSIONS = [...MEMBER_PERMISSIONS, 'admin:access', 'internal:view', 'analytics:view'];
+
+/**
+ * The permission matrix: what each role may do. firestore.rules and
+ * storage.rules repeat it for the `role` custom claim; change them together.
+ */
+export const ROLE_PERMISSIONS = {
+  guest: [],
+  member: MEMBER_PERMISSIONS,
+  premium_member: MEMBER_PERMISSIONS,
+  community_leader: MEMBER_PERMISSIONS,
+  moderator: [...STAFF_PERMISSIONS, 'members:approve', 'notifications:send'],
+  content_manager: [...STAFF_PERMISSIONS, 'content:edit', 'content:publish', 'media:manage'],
+  admin: Object.keys(PERMISSIONS),
+  super_admin: Object.keys(PERMISSIONS),
+  owner: Object.keys(PERMISSIONS),
+};
+
+/**
+ * A known role name; unknown roles of a signed-in user count as member
+ * @param {string|null|undefined} role
+ * @returns {string}
+ */
+export function normalizeRole(role) {
+  if (!role) return 'guest';
+  return ROLE_LABELS[role] ? role : 'member';
+}
+
+/**
+ * 0 guest, 1 member, 2 staff, 3 admin
+ * @param {string} role
+ * @returns {number}
+ */
+export function roleLevel(role) {
+  const name = normalizeRole(role);
+  if (ADMIN_ROLES.includes(name)) return 3;
+  if (STAFF_ROLES.includes(name)) return 2;
+  if (MEMBER_ROLES.includes(name)) return 1;
+  return 0;
+}
+
+/**
+ * Whether a role is at least as privileged as another
+ * @param {string} role - The user's role
+ * @param {string} required - e.g. 'member' or 'admin'
+ * @returns {boolean}
+ */
+export function hasRoleLevel(role, required) {
+  return roleLevel(role) >= roleLevel(required);
+}
+
+/**
+ * @param {string} role
+ * @returns {string[]}
+ */
+export function permissionsFor(role) {
+  return ROLE_PERMISSIONS[normalizeRole(role)];
+}
+
+/**
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function roleCan(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+/**
+ * @param {string} role
+ * @returns {string}
+ */
+export function roleLabel(role) {
+  return ROLE_LABELS[role] || role || ROLE_LABELS.guest;
+}
@@ -0,0 +1,186 @@
+/**
+ * Staff Sessions
+ * Lists where staff are signed in and lets user managers sign a session
+ * out remotely.
+ *
+ *   sessions/{sessionId}   { uid, user, role, provider, clerkSessionId?,
+ *                            userAgent, startedAt, lastSeenAt, revokedAt?,
+ *                            revokedBy? }
+ *
+ * One entry per browser and sign-in: the id is kept in localStorage, so the
+ * tabs of a browser share it, and signing in again starts a new one. Open
+ * admin pages refresh lastSeenAt every SESSION_SETTINGS.heartbeatMinutes;
+ * sessions not seen for activeWithinMinutes are no longer listed.
+ *
+ * revokeSession() goes through api/revoke-session.js, which revokes the
+ * Clerk session and the user's Firebase refresh tokens and sets revokedAt;
+ * that signs the browser out the next time one of its admin pages hears
+ * about it (straight away when one is open).
+ *
+ * Entries are written with the Firebase Auth user's uid, which the rules
+ * check; staff signed in with Clerk have one through firebase-bridge.js.
+ */
+
+import { db, auth } from '/src/services/firebase-config.js';
+import { collection, doc, getDoc, setDoc, updateDoc, query, where, onSnapshot } from 'firebase/firestore';
+import { initAuth, getUser, onAuthChange, signOut } from './auth-core.js';
+import { ROUTE_CONFIG, SESSION_SETTINGS } from './clerk-config.js';
+
+const SESSIONS_COLLECTION = 'sessions';
+const SESSION_KEY = 'perankh:session';
+const REVOKE_ENDPOINT = '/api/revoke-session';
+
+let started = false;
+
+function newId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// What changes with each sign-in: the Clerk session, or the Firebase
+// sign-in time
+function signInKey(user) {
+  return user.sessionId || user.loginTime || null;
+}
+
+function storedSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * This browser's session id for the signed-in user, made on first use
+ * after each sign-in
+ * @returns {string|null}
+ */
+export function currentSessionId() {
+  const user = getUser();
+  if (!user) return null;
+  const stored = storedSession();
+  if (stored && stored.userId === user.id && stored.signIn === signInKey(user)) return stored.id;
+
+  const id = newId();
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ id, userId: user.id, signIn: signInKey(user) }));
+  return id;
+}
+
+function author(user) {
+  return { id: user.id, email: user.email || null, name: user.name || null };
+}
+
+/**
+ * Record this browser's session, keep it fresh while the page is open and
+ * sign out when it is revoked (call once per page; later calls do nothing)
+ * @returns {Promise<void>}
+ */
+export async function startSessionTracking() {
+  if (started || !db) return;
+  started = true;
+  await initAuth();
+
+  // Without a Firebase user (firebase-bridge.js has logged why) the
+  // rules would refuse the entry
+  const user = getUser();
+  if (!user || !auth || !auth.currentUser) return;
+
+  const id = currentSessionId();
+  const ref = doc(db, SESSIONS_COLLECTION, id);
+  const now = new Date().toISOString();
+
+  try {
+    const existing = await getDoc(ref);
+    if (!existing.exists()) {
+      await setDoc(ref, {
+        uid: auth.currentUser.uid,
+        user: author(user),
+        role: user.role,
+        provider: user.provider,
+        ...(user.provider === 'clerk' ? { clerkSessionId: user.sessionId } : {}),
+        userAgent: navigator.userAgent.slice(0, 500),
+        startedAt: now,
+        lastSeenAt: now,
+      });
+    }
+  } catch (error) {
+    console.warn('[Sessions] Could not record the session:', error.message);
+    return;
+  }
+
+  const heartbeat = () => updateDoc(ref, { lastSeenAt: new Date().toISOString() })
+    .catch(error => console.warn('[Sessions] Could not update the session:', error.message));
+  heartbeat();
+  const timer = setInterval(heartbeat, SESSION_SETTINGS.heartbeatMinutes * 60 * 1000);
+
+  const unsubscribe = onSnapshot(
+    ref,
+    snapshot => {
+      if (!snapshot.exists() || !snapshot.data().revokedAt) return;
+      stop();
+      localStorage.removeItem(SESSION_KEY);
+      console.warn('[Sessions] This session was signed out by an administrator');
+      signOut({ redirectTo: ROUTE_CONFIG.authPages.admin });
+    },
+    error => console.warn('[Sessions] Session updates unavailable:', error.message)
+  );
+
+  const stopOnSignOut = onAuthChange(current => {
+    if (!current || current.id !== user.id) stop();
+  });
+
+  function stop() {
+    clearInterval(timer);
+    unsubscribe();
+    stopOnSignOut();
+  }
+}
+
+/**
+ * Follow the sessions seen in the last SESSION_SETTINGS.activeWithinMinutes
+ * @param {function(Array<Object>)} onChange - Active sessions, most recently
+ *   seen first; this browser's is marked `current`
+ * @returns {function()} Stops watching
+ */
+export function watchActiveSessions(onChange) {
+  if (!db) return () => {};
+
+  const windowMs = SESSION_SETTINGS.activeWithinMinutes * 60 * 1000;
+  const since = new Date(Date.now() - windowMs).toISOString();
+  const current = storedSession();
+
+  return onSnapshot(
+    query(collection(db, SESSIONS_COLLECTION), where('lastSeenAt', '>=', since)),
+    snapshot => {
+      const cutoff = Date.now() - windowMs;
+      const sessions = snapshot.docs
+        .map(d => ({ id: d.id, ...d.data(), current: !!current && d.id === current.id }))
+        .filter(s => !s.revokedAt && new Date(s.lastSeenAt).getTime() > cutoff)
+        .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+      onChange(sessions);
+    },
+    error => console.warn('[Sessions] Session list unavailable:', error.message)
+  );
+}
+
+/**
+ * Sign a session out remotely, through the server (the signed-in user must
+ * have users:manage, which it checks)
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+export async function revokeSession(sessionId) {
+  if (!auth || !auth.currentUser) throw new Error('Sign in again to sign sessions out');
+
+  const response = await fetch(REVOKE_ENDPOINT, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${await auth.currentUser.getIdToken()}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId }),
+  });
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}));
+    throw new Error(error || `${REVOKE_ENDPOINT} answered ${response.status}`);
+  }
+}
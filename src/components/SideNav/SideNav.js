@@ -1,18 +1,12 @@
 // Per Ankh Enhanced Side Navigation
 // Dynamic, animated navigation with modern features
 
+import { LOCALES, LOCALE_CHANGE_EVENT, getPreferredLocale, setPreferredLocale } from '/src/services/cms-locale.js';
+import { navLinks } from '/src/routes.js';
+
 (function () {
-  const links = [
-    { href: '/', label: 'Home', icon: '🏛️', description: 'Welcome to Per Ankh' },
-    { href: '/become-a-member', label: 'Become a Member', icon: '🤝', description: 'Join our community' },
-    { href: '/events', label: 'Events', icon: '📅', description: 'Upcoming ceremonies & workshops' },
-    { href: '/per-ankh', label: 'Ethos & Structure', icon: '📜', description: 'Our philosophy & organization' },
-    { href: '/ceremony-and-safety', label: 'Ceremony & Safety', icon: '🛡️', description: 'Sacred practices & guidelines' },
-    { href: '/donate', label: 'Donate', icon: '💛', description: 'Support our mission' },
-    { href: '/contact', label: 'Contact', icon: '✉️', description: 'Get in touch' },
-    { href: '/calculator', label: 'Calculator', icon: '🔢', description: 'Dosage & timing tools' },
-    { href: '/admin', label: 'Admin', icon: '🛂', description: 'Administrative access' },
-  ];
+  // Routes marked nav: true in the route manifest
+  const links = navLinks();
 
   let isAnimating = false;
 
@@ -132,14 +126,141 @@
       list.appendChild(linkWrapper);
     });
 
+    // Site search; the search code and index load on first use
+    const search = createEl('div', 'pa-search');
+    search.setAttribute('role', 'search');
+    const searchInput = createEl('input', 'pa-search-input');
+    searchInput.type = 'search';
+    searchInput.placeholder = 'Search the site';
+    searchInput.setAttribute('aria-label', 'Search the site');
+    searchInput.setAttribute('aria-controls', 'pa-search-results');
+    searchInput.autocomplete = 'off';
+    const searchStatus = createEl('div', 'pa-search-status');
+    searchStatus.setAttribute('aria-live', 'polite');
+    const searchResults = createEl('ul', 'pa-search-results');
+    searchResults.id = 'pa-search-results';
+    search.appendChild(searchInput);
+    search.appendChild(searchStatus);
+    search.appendChild(searchResults);
+
+    let searchModule = null;
+    let searchTimer = null;
+
+    function loadSearch() {
+      if (!searchModule) {
+        searchModule = import('/src/services/site-search.js')
+          .then(mod => mod.loadSearchIndex().then(index => ({ mod, index })))
+          .catch(error => {
+            searchModule = null;
+            throw error;
+          });
+      }
+      return searchModule;
+    }
+
+    function renderResults(query, results) {
+      searchResults.innerHTML = '';
+      list.hidden = Boolean(query);
+      if (!query) {
+        searchStatus.textContent = '';
+        return;
+      }
+      searchStatus.textContent = results.length
+        ? `${results.length} result${results.length === 1 ? '' : 's'}`
+        : `No results for “${query}”`;
+
+      results.forEach(result => {
+        // heading and snippet come back escaped, with matches in <mark>
+        const item = createEl('li');
+        const a = createEl('a', 'pa-search-result');
+        a.href = result.url;
+        a.appendChild(createEl('span', 'pa-search-page')).textContent = result.page;
+        a.appendChild(createEl('span', 'pa-search-heading', result.heading));
+        a.appendChild(createEl('span', 'pa-search-snippet', result.snippet));
+        // Same-page anchors do not reload, so close the panel to show the section
+        a.addEventListener('click', () => close());
+        item.appendChild(a);
+        searchResults.appendChild(item);
+      });
+    }
+
+    function runSearch() {
+      const query = searchInput.value.trim();
+      if (!query) {
+        renderResults('', []);
+        return;
+      }
+      searchStatus.textContent = 'Searching…';
+      loadSearch()
+        .then(({ mod, index }) => {
+          // Ignore answers for a query that has since changed
+          if (searchInput.value.trim() === query) renderResults(query, mod.searchSite(index, query));
+        })
+        .catch(error => {
+          console.warn('Site search unavailable:', error.message);
+          searchStatus.textContent = 'Search is unavailable right now';
+        });
+    }
+
+    searchInput.addEventListener('focus', () => loadSearch().catch(() => {}), { once: true });
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(runSearch, 150);
+    });
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' && searchResults.firstElementChild) {
+        e.preventDefault();
+        searchResults.querySelector('a').focus();
+      } else if (e.key === 'Escape' && searchInput.value) {
+        e.stopPropagation();
+        searchInput.value = '';
+        renderResults('', []);
+      }
+    });
+    searchResults.addEventListener('keydown', (e) => {
+      if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+      const links = [...searchResults.querySelectorAll('a')];
+      const at = links.indexOf(document.activeElement);
+      if (at === -1) return;
+      e.preventDefault();
+      if (e.key === 'ArrowUp' && at === 0) searchInput.focus();
+      else links[Math.min(links.length - 1, Math.max(0, at + (e.key === 'ArrowDown' ? 1 : -1)))].focus();
+    });
+
+    // Language switcher (persisted; CMS pages re-render on change)
+    const localeSwitcher = createEl('div', 'pa-locale-switcher');
+    localeSwitcher.setAttribute('role', 'group');
+    localeSwitcher.setAttribute('aria-label', 'Language');
+    LOCALES.forEach(locale => {
+      const btn = createEl('button', 'pa-locale-btn');
+      btn.type = 'button';
+      btn.lang = locale.code;
+      btn.dataset.locale = locale.code;
+      btn.textContent = locale.label;
+      btn.addEventListener('click', () => setPreferredLocale(locale.code));
+      localeSwitcher.appendChild(btn);
+    });
+
+    function markActiveLocale(code) {
+      localeSwitcher.querySelectorAll('.pa-locale-btn').forEach(btn => {
+        const active = btn.dataset.locale === code;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+      });
+    }
+    markActiveLocale(getPreferredLocale());
+    window.addEventListener(LOCALE_CHANGE_EVENT, e => markActiveLocale(e.detail.locale));
+
     // Enhanced footer with additional info
     const footer = createEl('div', 'pa-side-footer');
+    footer.appendChild(localeSwitcher);
     const footerText = createEl('div', 'pa-footer-text', `© ${new Date().getFullYear()} Per Ankh`);
     const footerSub = createEl('div', 'pa-footer-sub', 'Entheogenic Church');
     footer.appendChild(footerText);
     footer.appendChild(footerSub);
 
     panel.appendChild(header);
+    panel.appendChild(search);
     panel.appendChild(list);
     panel.appendChild(footer);
 
@@ -0,0 +1,157 @@
+/**
+ * Route Manifest for Per Ankh
+ *
+ * The one list of site routes. Everything else is generated from it:
+ *   - dev server rewrites and Rollup inputs (vite.config.js)
+ *   - Vercel rewrites (vercel.json, via `npm run routes:sync`)
+ *   - SideNav links (nav: true, in manifest order)
+ *   - ROUTE_CONFIG route lists (src/auth/clerk-config.js)
+ *
+ * Each route: { path, file, title, access, permission?, nav?, icon?, description?, authCallbacks?, search? }
+ *   access         'public' | 'member' | 'admin'
+ *   permission     what an admin route needs (see PERMISSIONS in
+ *                  src/auth/roles.js); checked by clerk-admin-protect.js
+ *   nav            shown in the SideNav (needs icon and description)
+ *   authCallbacks  Clerk sub-paths under this route (/admin/factor-two, ...)
+ *                  serve the same page
+ *   search         false to leave a public page out of the site search
+ *
+ * The build fails when a page in pages/ has no route, a route points at a
+ * missing file, or vercel.json is out of date (see scripts/routes.js).
+ * Plain data only: this module is loaded by Node as well as the browser.
+ */
+
+export const ACCESS_LEVELS = ['public', 'member', 'admin'];
+
+export const ROUTES = [
+  // Main navigation
+  { path: '/', file: 'pages/index.html', title: 'Home', access: 'public', nav: true, icon: '🏛️', description: 'Welcome to Per Ankh' },
+  { path: '/become-a-member', file: 'pages/member/become-a-member.html', title: 'Become a Member', access: 'public', nav: true, icon: '🤝', description: 'Join our community' },
+  { path: '/events', file: 'pages/events/events.html', title: 'Events', access: 'public', nav: true, icon: '📅', description: 'Upcoming ceremonies & workshops' },
+  { path: '/per-ankh', file: 'pages/programs/per-ankh.html', title: 'Ethos & Structure', access: 'public', nav: true, icon: '📜', description: 'Our philosophy & organization' },
+  { path: '/ceremony-and-safety', file: 'pages/programs/ceremony-and-safety.html', title: 'Ceremony & Safety', access: 'public', nav: true, icon: '🛡️', description: 'Sacred practices & guidelines' },
+  { path: '/donate', file: 'pages/support/donate.html', title: 'Donate', access: 'public', nav: true, icon: '💛', description: 'Support our mission' },
+  { path: '/contact', file: 'pages/support/contact.html', title: 'Contact', access: 'public', nav: true, icon: '✉️', description: 'Get in touch' },
+  { path: '/calculator', file: 'pages/programs/calculator.html', title: 'Calculator', access: 'public', nav: true, icon: '🔢', description: 'Dosage & timing tools' },
+  { path: '/admin', file: 'pages/admin/login.html', title: 'Admin', access: 'public', nav: true, icon: '🛂', description: 'Administrative access', authCallbacks: true },
+
+  // Public pages
+  { path: '/community', file: 'pages/community/community.html', title: 'Community Portal', access: 'public' },
+  { path: '/community-partnership', file: 'pages/community/partnership.html', title: 'Community & Partnership', access: 'public' },
+  { path: '/sacred-community', file: 'pages/community/sacred-relationships.html', title: 'Sacred Community & Relationships', access: 'public' },
+  { path: '/women-empowerment', file: 'pages/community/womens-empowerment.html', title: "Women's Empowerment", access: 'public' },
+  { path: '/vendor-registration', file: 'pages/support/vendor-registration.html', title: 'Vendor Registration', access: 'public' },
+  { path: '/protocols', file: 'pages/programs/protocols.html', title: 'Psilocybin Protocols', access: 'public' },
+  { path: '/crystaltech', file: 'pages/programs/crystaltech.html', title: 'Crystal Technology', access: 'public' },
+  { path: '/moudoubaqui', file: 'pages/people/moudoubaqui.html', title: 'Baba Moudou Baqui', access: 'public' },
+  { path: '/jon', file: 'pages/people/jon.html', title: 'Jon Page', access: 'public' },
+  { path: '/shanna', file: 'pages/people/shanna.html', title: 'Shanna Ciera Marie', access: 'public' },
+  // No terms or privacy pages yet; footers link here and land on the home page
+  { path: '/terms', file: 'pages/index.html', title: 'Terms of Use', access: 'public' },
+  { path: '/privacy', file: 'pages/index.html', title: 'Privacy Policy', access: 'public' },
+
+  // Members
+  { path: '/member/login', file: 'pages/member/login.html', title: 'Member Login', access: 'public' },
+  { path: '/member/signup', file: 'pages/member/signup.html', title: 'Create Account', access: 'public' },
+  { path: '/member/reset-password', file: 'pages/member/reset-password.html', title: 'Reset Password', access: 'public' },
+
+  // Admin
+  { path: '/admin/dashboard', file: 'pages/admin/dashboard.html', title: 'Admin Dashboard', access: 'admin', permission: 'admin:access' },
+  { path: '/admin/users', file: 'pages/admin/user-manager.html', title: 'User Manager', access: 'admin', permission: 'users:manage' },
+  { path: '/admin/content', file: 'pages/admin/content-manager.html', title: 'Content Manager', access: 'admin', permission: 'content:edit' },
+  { path: '/admin/analytics', file: 'pages/admin/analytics.html', title: 'Analytics', access: 'admin', permission: 'analytics:view' },
+  { path: '/admin/settings', file: 'pages/admin/settings.html', title: 'Settings', access: 'admin', permission: 'settings:write' },
+  { path: '/admin/notifications', file: 'pages/admin/notifications.html', title: 'Notifications', access: 'admin', permission: 'notifications:send' },
+  { path: '/admin/seed-database', file: 'pages/misc/seed-database.html', title: 'Seed Database', access: 'admin', permission: 'settings:write' },
+  { path: '/admin/brand-identity', file: 'pages/admin/internal/brand-identity.html', title: 'Brand Identity', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/brand-identity-2', file: 'pages/admin/internal/brand-identity-2.html', title: 'Brand Profile', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/content-calendar', file: 'pages/admin/internal/content-calendar.html', title: 'Content Calendar', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/content-calendar-2', file: 'pages/admin/internal/content-calendar-2.html', title: 'Content Calendar (2)', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/hiphop', file: 'pages/admin/internal/hiphop.html', title: 'Hip-Hop Healing Sessions', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/nft', file: 'pages/admin/internal/nft.html', title: 'NFT Ecosystem', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/per-ankh-tech', file: 'pages/admin/internal/per-ankh-tech.html', title: 'Consciousness Mastery Guide', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/prompts-1', file: 'pages/admin/internal/prompts-1.html', title: 'Prompt Architecture', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/prompts-2', file: 'pages/admin/internal/prompts-2.html', title: 'Prompts Library', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/prompts-3', file: 'pages/admin/internal/prompts-3.html', title: 'Creative Prompt Library', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/shanna', file: 'pages/admin/internal/shanna-2.html', title: 'Shanna Ciera Marie (internal)', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/target-audience', file: 'pages/admin/internal/target-audience-profiles.html', title: 'Target Audience Profiles', access: 'admin', permission: 'internal:view' },
+  { path: '/admin/youth-outreach', file: 'pages/admin/internal/urban-youth-outreach.html', title: 'Urban Youth Outreach', access: 'admin', permission: 'internal:view' },
+
+  // Development and test pages
+  { path: '/test-clerk', file: 'pages/test-clerk.html', title: 'Test Clerk Loading', access: 'public', search: false },
+  { path: '/modernized-demo', file: 'pages/misc/modernized-demo.html', title: 'Modernized Component Demo', access: 'public', search: false },
+  { path: '/test-github-pages', file: 'pages/misc/test-github-pages.html', title: 'GitHub Pages Test', access: 'public', search: false },
+];
+
+// Unknown paths are served the home page
+export const FALLBACK_FILE = 'pages/index.html';
+
+/**
+ * Route for a URL path
+ * @param {string} path
+ * @returns {Object|undefined}
+ */
+export function findRoute(path) {
+  return ROUTES.find(r => r.path === path);
+}
+
+/**
+ * Paths of every route with the given access level
+ * @param {'public'|'member'|'admin'} access
+ * @returns {string[]}
+ */
+export function routePaths(access) {
+  return ROUTES.filter(r => r.access === access).map(r => r.path);
+}
+
+/**
+ * Links for the SideNav, in manifest order
+ * @returns {Array<{href: string, label: string, icon: string, description: string}>}
+ */
+export function navLinks() {
+  return ROUTES.filter(r => r.nav).map(r => ({ href: r.path, label: r.title, icon: r.icon, description: r.description }));
+}
+
+/**
+ * Clean URL -> HTML file (as a root-relative URL) for every route
+ * @returns {Object<string, string>}
+ */
+export function routeRewrites() {
+  return Object.fromEntries(ROUTES.map(r => [r.path, `/${r.file}`]));
+}
+
+/**
+ * Routes whose Clerk sub-paths serve the same page: base path -> HTML file
+ * @returns {Object<string, string>}
+ */
+export function authCallbackRewrites() {
+  return Object.fromEntries(ROUTES.filter(r => r.authCallbacks).map(r => [r.path, `/${r.file}`]));
+}
+
+/**
+ * Vercel rewrites: exact routes, then Clerk sub-paths, then the fallback
+ * @returns {Array<{source: string, destination: string}>}
+ */
+export function vercelRewrites() {
+  return [
+    ...ROUTES.map(r => ({ source: r.path, destination: `/${r.file}` })),
+    ...ROUTES.filter(r => r.authCallbacks).map(r => ({ source: `${r.path}/:clerk*`, destination: `/${r.file}` })),
+    { source: '/(.*)', destination: `/${FALLBACK_FILE}` }
+  ];
+}
+
+/**
+ * Rollup inputs for every page, keyed by a name derived from its file
+ * ("pages/admin/user-manager.html" -> "adminUserManager")
+ * @returns {Object<string, string>} name -> file, relative to the project root
+ */
+export function buildInputs() {
+  const files = [...new Set(ROUTES.map(r => r.file))];
+  return Object.fromEntries(files.map(file => {
+    const name = file
+      .replace(/^pages\//, '')
+      .replace(/\.html$/, '')
+      .replace(/[^a-zA-Z0-9]+(.)/g, (_, c) => c.toUpperCase());
+    return [name, file];
+  }));
+}
@@ -0,0 +1,252 @@
+/**
+ * CMS Content Bundles
+ * Versioned JSON snapshots of the CMS collections, for moving content
+ * between environments (staging -> production) and for snapshotting
+ * production back into the repo. Used by the content manager's
+ * Import / Export tab and by scripts/cms-bundle.js.
+ *
+ *   {
+ *     format: 'perankh-cms-bundle', version: 1,
+ *     exportedAt, source,
+ *     collections: { pageContent: { [id]: doc }, profiles: {...}, media: {...} }
+ *   }
+ *
+ * Media entries are metadata only; the files stay in Storage and keep the
+ * URLs of the environment they were uploaded to. Drafts and revisions are
+ * not bundled.
+ *
+ * Imports never delete documents. In "overwrite" mode each bundled document
+ * replaces the target's; in "merge" mode fields (and, for pages, sections)
+ * that only exist in the target are kept. Imported pages are published like
+ * any other change: each gets a revision, so the history shows the import
+ * and can roll back past it, and open editors see the page move on.
+ */
+
+import { collection, doc, getDocs, runTransaction, writeBatch } from 'firebase/firestore';
+import { diffSections, overlaySections } from './cms-diff.js';
+import { validatePage } from './cms-schemas.js';
+
+export const BUNDLE_FORMAT = 'perankh-cms-bundle';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_COLLECTIONS = ['pageContent', 'profiles', 'media'];
+export const IMPORT_MODES = ['merge', 'overwrite'];
+
+// Bookkeeping fields that do not count as a content change; revisionId and
+// publishedBy are set by each environment when it publishes
+const IGNORED_FIELDS = ['lastModified', 'importedAt', 'importedFrom', 'revisionId', 'publishedBy'];
+
+// Firestore writes are limited to 500 operations per batch
+const BATCH_SIZE = 400;
+
+// Firestore values as plain JSON (Timestamps become ISO strings)
+function toPlain(value) {
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+    }
+    return value;
+}
+
+// JSON with sorted keys, so documents compare equal regardless of field order
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+function sameContent(a, b) {
+    const strip = data => Object.fromEntries(Object.entries(data).filter(([k]) => !IGNORED_FIELDS.includes(k)));
+    return stableStringify(strip(a)) === stableStringify(strip(b));
+}
+
+/**
+ * Wrap collection data in a bundle
+ * @param {Object} collections - { pageContent: { [id]: doc }, profiles, media }
+ * @param {Object} [meta]
+ * @param {string} [meta.source] - Where the content came from (project id, directory)
+ * @returns {Object}
+ */
+export function createBundle(collections, meta = {}) {
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        source: meta.source || null,
+        collections: Object.fromEntries(BUNDLE_COLLECTIONS.map(name => [name, toPlain(collections[name] || {})]))
+    };
+}
+
+/**
+ * Check that a parsed file is a bundle this code can read
+ * @param {string|Object} input - Bundle JSON or the parsed object
+ * @returns {Object}
+ * @throws {Error} When the input is not a bundle or is from a newer version
+ */
+export function parseBundle(input) {
+    const bundle = typeof input === 'string' ? JSON.parse(input) : input;
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error('Not a Per Ankh content bundle');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Bundle version ${bundle.version} is not supported (expected ${BUNDLE_VERSION} or older)`);
+    }
+    if (!bundle.collections || typeof bundle.collections !== 'object') {
+        throw new Error('Bundle has no collections');
+    }
+
+    return bundle;
+}
+
+/**
+ * Build a bundle from page documents laid out like public/content
+ * (see loadContentPages in scripts/cms-prerender.js)
+ * @param {Array} pages
+ * @param {string} [source]
+ * @returns {Object}
+ */
+export function bundleFromContentPages(pages, source) {
+    const pageContent = Object.fromEntries(pages.map(({ pageId, ...page }) => [pageId, { pageId, ...page }]));
+    return createBundle({ pageContent }, { source });
+}
+
+/**
+ * Work out what importing a bundle would change
+ * @param {Object} bundle
+ * @param {Object} current - Target data, shaped like bundle.collections
+ * @param {'merge'|'overwrite'} [mode]
+ * @returns {Array<{collection: string, id: string, label: string, change: 'added'|'modified'|'unchanged',
+ *   sections?: Array, errors: Array, data: Object}>} One entry per bundled document;
+ *   data is the document as it would be written
+ */
+export function planImport(bundle, current, mode = 'merge') {
+    if (!IMPORT_MODES.includes(mode)) {
+        throw new Error(`Unknown import mode "${mode}" (expected ${IMPORT_MODES.join(' or ')})`);
+    }
+
+    const plan = [];
+
+    BUNDLE_COLLECTIONS.forEach(name => {
+        const existing = current[name] || {};
+
+        Object.entries(bundle.collections[name] || {}).forEach(([id, incoming]) => {
+            const before = existing[id];
+            let data = before && mode === 'merge' ? { ...before, ...incoming } : incoming;
+            let sections;
+            let errors = [];
+
+            if (name === 'pageContent') {
+                if (before && mode === 'merge') {
+                    data = { ...data, sections: overlaySections(before.sections, incoming.sections) };
+                }
+                sections = diffSections((before && before.sections) || [], data.sections || []);
+                errors = validatePage(id, data.sections || []).errors;
+            }
+
+            const change = !before ? 'added' : sameContent(before, data) ? 'unchanged' : 'modified';
+            plan.push({ collection: name, id, label: incoming.name || id, change, sections, errors, data });
+        });
+    });
+
+    return plan;
+}
+
+/**
+ * Read every bundled collection from Firestore
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object>} Shaped like bundle.collections
+ */
+export async function readCollections(db) {
+    const result = {};
+
+    for (const name of BUNDLE_COLLECTIONS) {
+        const snapshot = await getDocs(collection(db, name));
+        result[name] = {};
+        snapshot.forEach(d => { result[name][d.id] = toPlain(d.data()); });
+    }
+
+    return result;
+}
+
+/**
+ * Export Firestore content as a bundle
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object>}
+ */
+export async function exportBundle(db) {
+    return createBundle(await readCollections(db), { source: db.app.options.projectId || null });
+}
+
+// Publish one imported page, as cms-revisions.js publishPage() does: a
+// revision against what is live now, and the page pointing at it. The
+// bundle's own revisionId belongs to another environment and is dropped;
+// drafts are left for their editors, whose next save sees the new head.
+function importPage(db, entry, meta) {
+    const pageRef = doc(db, 'pageContent', entry.id);
+    const revisionRef = doc(collection(pageRef, 'revisions'));
+
+    return runTransaction(db, async transaction => {
+        const snapshot = await transaction.get(pageRef);
+        const current = snapshot.exists() ? snapshot.data() : null;
+        const { revisionId, ...data } = entry.data;
+        const sections = data.sections || [];
+        // A fresh lastModified also keeps caches and prerendered HTML from
+        // shadowing the imported content
+        const now = new Date().toISOString();
+
+        transaction.set(revisionRef, {
+            sections,
+            diff: diffSections((current && current.sections) || [], sections),
+            publishedAt: now,
+            publishedBy: meta.author || null,
+            previousRevisionId: (current && current.revisionId) || null,
+            importedFrom: meta.source || null
+        });
+        transaction.set(pageRef, {
+            ...data,
+            lastModified: now,
+            publishedBy: meta.author || null,
+            revisionId: revisionRef.id,
+            importedAt: now,
+            importedFrom: meta.source || null
+        });
+    });
+}
+
+/**
+ * Write the changed entries of an import plan
+ * @param {Object} db - Firestore instance
+ * @param {Array} plan - From planImport
+ * @param {Object} [meta]
+ * @param {string} [meta.source] - Recorded on imported pages as importedFrom
+ * @param {Object} [meta.author] - { id, email, name }, recorded as the publisher of imported pages
+ * @returns {Promise<number>} Number of documents written
+ * @throws {Error} When a page in the plan fails schema validation; nothing is written
+ */
+export async function applyImport(db, plan, meta = {}) {
+    const invalid = plan.filter(entry => entry.errors.length > 0);
+    if (invalid.length > 0) {
+        throw new Error(`Import refused, schema errors in: ${invalid.map(e => e.id).join(', ')}`);
+    }
+
+    const writes = plan.filter(entry => entry.change !== 'unchanged');
+    const pages = writes.filter(entry => entry.collection === 'pageContent');
+    const others = writes.filter(entry => entry.collection !== 'pageContent');
+
+    for (const entry of pages) {
+        await importPage(db, entry, meta);
+    }
+
+    for (let i = 0; i < others.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        others.slice(i, i + BATCH_SIZE).forEach(entry => {
+            batch.set(doc(db, entry.collection, entry.id), entry.data);
+        });
+        await batch.commit();
+    }
+
+    return writes.length;
+}
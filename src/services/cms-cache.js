@@ -0,0 +1,95 @@
+/**
+ * CMS Page Cache
+ * Keeps the last page document seen for each path in localStorage so
+ * cms-loader.js can render it immediately on repeat visits and refresh it
+ * in the background (stale-while-revalidate).
+ */
+
+const CACHE_PREFIX = 'perankh_cms_page:';
+
+// Entries older than this are ignored rather than shown while revalidating
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Read a cached page document
+ * @param {string} key - Normalized page path or page id
+ * @returns {{page: Object, source: string, cachedAt: number}|null}
+ */
+export function readCachedPage(key) {
+    try {
+        const raw = localStorage.getItem(CACHE_PREFIX + key);
+        if (!raw) return null;
+
+        const entry = JSON.parse(raw);
+        if (!entry || !entry.page || Date.now() - entry.cachedAt > MAX_AGE_MS) {
+            localStorage.removeItem(CACHE_PREFIX + key);
+            return null;
+        }
+        return entry;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Store a page document
+ * @param {string} key - Normalized page path or page id
+ * @param {Object} page - Page document as returned by Firestore or the bundled JSON
+ * @param {string} source - Where the document came from ("firestore" or "static")
+ */
+export function writeCachedPage(key, page, source) {
+    try {
+        localStorage.setItem(CACHE_PREFIX + key, JSON.stringify({ page, source, cachedAt: Date.now() }));
+    } catch {
+        // Storage full or disabled (private mode) — caching is best-effort
+    }
+}
+
+/**
+ * Check whether two page documents would render the same content
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function isSamePage(a, b) {
+    if (!a || !b) return false;
+    return JSON.stringify(a.sections) === JSON.stringify(b.sections);
+}
+
+// ── Editor previews ──────────────────────────────────────────────
+// The content manager stores unpublished sections here and opens the page
+// with ?cmsPreview=<pageId>. Previews live only in the editor's browser, so
+// visitors can never be served a draft.
+//
+// The editor's side-by-side preview instead loads the page in an iframe with
+// ?cmsLivePreview=1 and posts sections to it as they are typed:
+//   iframe -> editor  { type: PREVIEW_READY_MESSAGE }
+//   editor -> iframe  { type: PREVIEW_MESSAGE, sections, locale }
+
+const PREVIEW_PREFIX = 'perankh_cms_preview:';
+
+export const PREVIEW_MESSAGE = 'cms:preview';
+export const PREVIEW_READY_MESSAGE = 'cms:preview-ready';
+
+/**
+ * Store an unpublished page document for previewing
+ * @param {string} pageId
+ * @param {Object} page - Page document with the draft sections
+ */
+export function writePreviewPage(pageId, page) {
+    localStorage.setItem(PREVIEW_PREFIX + pageId, JSON.stringify(page));
+}
+
+/**
+ * Read a preview stored by the content manager
+ * @param {string} pageId
+ * @returns {Object|null}
+ */
+export function readPreviewPage(pageId) {
+    try {
+        const raw = localStorage.getItem(PREVIEW_PREFIX + pageId);
+        return raw ? JSON.parse(raw) : null;
+    } catch {
+        return null;
+    }
+}
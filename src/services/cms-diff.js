@@ -0,0 +1,98 @@
+/**
+ * CMS Diffing
+ * Section-level comparison of page content, shared by the publish workflow
+ * (cms-revisions.js) and content bundles (cms-bundle.js). Sections are
+ * matched by key.
+ */
+
+/**
+ * Compare two section arrays by key
+ * @param {Array} before - Previously published sections
+ * @param {Array} after - Sections about to be published
+ * @returns {Array<{key: string, label: string, change: 'added'|'removed'|'modified'}>}
+ */
+export function diffSections(before = [], after = []) {
+    const changes = [];
+    const beforeByKey = new Map(before.map(s => [s.key, s]));
+    const afterKeys = new Set();
+
+    after.forEach(section => {
+        afterKeys.add(section.key);
+        const previous = beforeByKey.get(section.key);
+        if (!previous) {
+            changes.push({ key: section.key, label: section.label || section.key, change: 'added' });
+        } else if (JSON.stringify(previous) !== JSON.stringify(section)) {
+            changes.push({ key: section.key, label: section.label || section.key, change: 'modified' });
+        }
+    });
+
+    before.forEach(section => {
+        if (!afterKeys.has(section.key)) {
+            changes.push({ key: section.key, label: section.label || section.key, change: 'removed' });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Lay incoming sections over existing ones: sections with the same key are
+ * replaced, new ones are appended and sections only in `base` are kept
+ * @param {Array} base
+ * @param {Array} incoming
+ * @returns {Array}
+ */
+export function overlaySections(base = [], incoming = []) {
+    const incomingByKey = new Map(incoming.map(s => [s.key, s]));
+    const baseKeys = new Set(base.map(s => s.key));
+
+    return [
+        ...base.map(s => incomingByKey.get(s.key) || s),
+        ...incoming.filter(s => !baseKeys.has(s.key))
+    ];
+}
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Three-way merge of two edits of the same page, section by section.
+ * A section changed on one side only takes that side; a section changed
+ * differently on both sides is a conflict and keeps `mine` until resolved.
+ * @param {Array} base - Sections both edits started from
+ * @param {Array} mine
+ * @param {Array} theirs
+ * @returns {{sections: Array, rows: Array<{key: string, label: string,
+ *   status: 'mine'|'theirs'|'conflict', base: Object|undefined, mine: Object|undefined, theirs: Object|undefined}>}}
+ *   sections is the automatic merge; rows lists every section that differs
+ *   between mine and theirs
+ */
+export function mergeSections(base = [], mine = [], theirs = []) {
+    const byKey = list => new Map(list.map(s => [s.key, s]));
+    const baseByKey = byKey(base);
+    const mineByKey = byKey(mine);
+    const theirsByKey = byKey(theirs);
+
+    // Mine's order, with sections only they have added at the end
+    const keys = [...mine.map(s => s.key), ...theirs.map(s => s.key).filter(k => !mineByKey.has(k))];
+    const sections = [];
+    const rows = [];
+
+    keys.forEach(key => {
+        const b = baseByKey.get(key);
+        const m = mineByKey.get(key);
+        const t = theirsByKey.get(key);
+        if (same(m, t)) {
+            sections.push(m);
+            return;
+        }
+
+        const status = same(m, b) ? 'theirs' : same(t, b) ? 'mine' : 'conflict';
+        const chosen = status === 'theirs' ? t : m;
+        if (chosen) sections.push(chosen);
+        rows.push({ key, label: (m || t || b).label || key, status, base: b, mine: m, theirs: t });
+    });
+
+    return { sections, rows };
+}
@@ -0,0 +1,112 @@
+/**
+ * CMS Field Values
+ * Helpers for reading typed section values (image, link, date, number,
+ * boolean) the same way in cms-loader.js and the content manager.
+ *
+ *   image    "https://..." or "/assets/..."      (optional section.alt)
+ *   link     { href: "https://...", label: "Text" }
+ *   date     "2026-03-15" (YYYY-MM-DD)
+ *   number   42
+ *   boolean  true / false
+ *   markdown "**Bold** and [links](https://...)"
+ */
+
+export const SECTION_TYPES = ['text', 'richtext', 'markdown', 'list', 'image', 'link', 'date', 'number', 'boolean'];
+
+/**
+ * Escape a string for use in HTML text or attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Allow only relative URLs and http(s), mailto and tel links
+ * @param {string} url
+ * @returns {string} The URL, or '' if it is not safe to put in src/href
+ */
+export function safeUrl(url) {
+    const value = String(url ?? '').trim();
+    if (!value) return '';
+    // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+    const scheme = value.replace(/[\u0000-\u0020\u007f]+/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return value;
+    return ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase()) ? value : '';
+}
+
+/**
+ * @param {string|{src: string}} value - Image section value
+ * @returns {string}
+ */
+export function imageSrc(value) {
+    return typeof value === 'object' && value ? (value.src || '') : (value || '');
+}
+
+/**
+ * @param {string|{href: string}} value - Link section value
+ * @returns {string}
+ */
+export function linkHref(value) {
+    return typeof value === 'object' && value ? (value.href || '') : (value || '');
+}
+
+/**
+ * @param {string|{href: string, label: string}} value - Link section value
+ * @returns {string}
+ */
+export function linkLabel(value) {
+    if (typeof value === 'object' && value) return value.label || value.href || '';
+    return value || '';
+}
+
+/**
+ * Parse a YYYY-MM-DD date (or full ISO timestamp) in local time
+ * @param {string} value
+ * @returns {Date|null}
+ */
+export function parseDateValue(value) {
+    if (!value) return null;
+    const ymd = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = ymd ? new Date(Number(ymd[1]), Number(ymd[2]) - 1, Number(ymd[3])) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a date section value
+ * @param {string} value
+ * @param {string} [style] - "short", "medium" (default), "long", "full" or "iso"
+ * @returns {string}
+ */
+export function formatDateValue(value, style = 'medium') {
+    const date = parseDateValue(value);
+    if (!date) return value || '';
+    if (style === 'iso') return value;
+    return date.toLocaleDateString(undefined, { dateStyle: style });
+}
+
+/**
+ * Format a number section value
+ * @param {number|string} value
+ * @returns {string}
+ */
+export function formatNumberValue(value) {
+    const number = Number(value);
+    return value === '' || value == null || isNaN(number) ? '' : number.toLocaleString();
+}
+
+/**
+ * Interpret a boolean section value (also accepts "true"/"false" strings)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isTruthyValue(value) {
+    if (typeof value === 'string') return value !== '' && value !== 'false' && value !== '0';
+    return Boolean(value);
+}
@@ -0,0 +1,215 @@
+/**
+ * CMS Responsive Images
+ * Describes the resized variants of an image and writes them into <img>
+ * tags as srcset/sizes. Shared by the build (scripts/image-variants.js makes
+ * the variants of public/assets/images), the prerender, cms-loader.js and
+ * the media library, which makes variants of uploads in the browser.
+ *
+ * An image entry:
+ *   { width, height, placeholder, variants: [{ url, width, type }] }
+ * placeholder is a tiny blurred data: URL (null for images with
+ * transparency). CMS sections carry the entries for the images they use in
+ * section.images, keyed by image URL (the content manager fills it in on
+ * save), so rendering needs no extra lookups.
+ */
+
+import { escapeHtml, imageSrc } from './cms-fields.js';
+
+// Manifest of the build's variants of public/assets/images, keyed by URL
+export const IMAGE_MANIFEST_URL = '/image-manifest.json';
+
+export const IMAGE_WIDTHS = [480, 960, 1600];
+export const IMAGE_FORMATS = [
+    { type: 'image/avif', ext: 'avif' },
+    { type: 'image/webp', ext: 'webp' }
+];
+export const DEFAULT_SIZES = '100vw';
+export const PLACEHOLDER_WIDTH = 24;
+
+// Only these are worth resizing; SVGs and GIFs are left alone
+const RESIZABLE_RE = /\.(jpe?g|png|webp)$/i;
+
+/**
+ * Widths to make for an image: the standard widths below its own, plus its
+ * own width when it is smaller than the largest standard width
+ * @param {number} width - Original width
+ * @returns {number[]}
+ */
+export function targetWidths(width) {
+    const widths = IMAGE_WIDTHS.filter(w => w < width);
+    if (width <= IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]) widths.push(width);
+    return widths;
+}
+
+/**
+ * Path of a variant next to the original ("a/b.jpg" -> "a/b-960w.webp")
+ * @param {string} path
+ * @param {number} width
+ * @param {string} ext
+ * @returns {string}
+ */
+export function variantPath(path, width, ext) {
+    return `${path.replace(/\.[^./]+$/, '')}-${width}w.${ext}`;
+}
+
+/**
+ * @param {string} path - File path or URL
+ * @returns {boolean}
+ */
+export function isResizable(path) {
+    return RESIZABLE_RE.test(String(path || '').split(/[?#]/)[0]);
+}
+
+/**
+ * srcset for one format of an entry
+ * @param {Object} entry
+ * @param {string} type - MIME type
+ * @returns {string} Empty when the entry has no variants of that type
+ */
+export function srcsetFor(entry, type) {
+    return (entry.variants || [])
+        .filter(v => v.type === type)
+        .sort((a, b) => a.width - b.width)
+        .map(v => `${v.url} ${v.width}w`)
+        .join(', ');
+}
+
+/**
+ * Formats an entry has variants of, best first
+ * @param {Object} entry
+ * @returns {string[]} MIME types
+ */
+export function entryTypes(entry) {
+    return IMAGE_FORMATS.map(f => f.type).filter(type => (entry.variants || []).some(v => v.type === type));
+}
+
+function readAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}=(["'])(.*?)\\1`, 'i'));
+    return match ? match[2] : undefined;
+}
+
+function setAttribute(tag, name, value) {
+    const attr = `${name}="${escapeHtml(value)}"`;
+    const re = new RegExp(`\\s${name}=(["'])(.*?)\\1`, 'i');
+    if (re.test(tag)) return tag.replace(re, ` ${attr}`);
+    return tag.replace(/\s*\/?>$/, match => ` ${attr}${match}`);
+}
+
+function decodeAttribute(value) {
+    return value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * The attributes that make an <img> responsive
+ * @param {Object} entry
+ * @param {string} [sizes] - Keeps the img's own sizes when it has one
+ * @returns {{type: string, srcset: string, sizes: string, sources: Array<{type: string, srcset: string}>}|null}
+ *   srcset is for the <img>; sources are the other formats, best first.
+ *   null when the entry has no variants.
+ */
+export function responsiveAttributes(entry, sizes) {
+    const types = entryTypes(entry);
+    if (types.length === 0) return null;
+
+    // WebP is understood everywhere; AVIF goes in a <source> in front of it
+    const type = types.includes('image/webp') ? 'image/webp' : types[types.length - 1];
+    return {
+        type,
+        srcset: srcsetFor(entry, type),
+        sizes: sizes || DEFAULT_SIZES,
+        sources: types.filter(t => t !== type).map(t => ({ type: t, srcset: srcsetFor(entry, t) }))
+    };
+}
+
+/**
+ * Add srcset, sizes, dimensions and a blur-up placeholder to an <img> tag.
+ * A tag with data-src (loaded on demand, e.g. in a lightbox) gets
+ * data-srcset instead. Existing sizes, width and height are kept.
+ * @param {string} tag - The <img ...> opening tag
+ * @param {Object} entry
+ * @returns {{tag: string, sources: string}} sources are <source> tags for
+ *   the formats other than the srcset's own, for a wrapping <picture>
+ */
+export function responsiveImgTag(tag, entry) {
+    const deferred = readAttribute(tag, 'data-src') !== undefined;
+    const attrs = responsiveAttributes(entry, readAttribute(tag, 'sizes'));
+    if (!attrs) return { tag, sources: '' };
+
+    let out = setAttribute(tag, deferred ? 'data-srcset' : 'srcset', attrs.srcset);
+    out = setAttribute(out, 'sizes', attrs.sizes);
+
+    if (entry.width && entry.height && !readAttribute(out, 'width') && !readAttribute(out, 'height')) {
+        out = setAttribute(setAttribute(out, 'width', String(entry.width)), 'height', String(entry.height));
+    }
+    if (!readAttribute(out, 'decoding')) out = setAttribute(out, 'decoding', 'async');
+    if (entry.placeholder && !deferred) {
+        const style = readAttribute(out, 'style');
+        const blur = `background:url(${entry.placeholder}) center/cover no-repeat`;
+        out = setAttribute(out, 'style', style ? `${decodeAttribute(style).replace(/;?\s*$/, ';')} ${blur}` : blur);
+    }
+
+    const sources = deferred ? '' : attrs.sources
+        .map(source => `<source type="${source.type}" srcset="${escapeHtml(source.srcset)}" sizes="${escapeHtml(attrs.sizes)}">`)
+        .join('');
+
+    return { tag: out, sources };
+}
+
+/**
+ * Make every <img> in an HTML string whose src (or data-src) has an entry
+ * responsive. Images with AVIF variants are wrapped in a
+ * <picture style="display:contents">, which leaves layout untouched.
+ * Tags already given a srcset are skipped.
+ * @param {string} html
+ * @param {function(string): (Object|null|undefined)} lookup - Entry for an image URL
+ * @returns {string}
+ */
+export function applyResponsiveImages(html, lookup) {
+    return html.replace(/<img\b[^>]*>/gi, tag => {
+        if (readAttribute(tag, 'srcset') !== undefined || readAttribute(tag, 'data-srcset') !== undefined) return tag;
+        const src = readAttribute(tag, 'data-src') ?? readAttribute(tag, 'src');
+        const entry = src && lookup(decodeAttribute(src));
+        if (!entry) return tag;
+
+        const { tag: img, sources } = responsiveImgTag(tag, entry);
+        return sources ? `<picture style="display:contents">${sources}${img}</picture>` : img;
+    });
+}
+
+/**
+ * Entry the content manager stored on a section for one of its images
+ * @param {Object} section
+ * @param {string} url
+ * @returns {Object|null}
+ */
+export function sectionImageEntry(section, url) {
+    return (section.images && section.images[url]) || null;
+}
+
+// Image URLs a section uses: its own value, or the fields of its list items
+function sectionImageUrls(section) {
+    if (section.type === 'image') return [imageSrc(section.value)].filter(Boolean);
+    if (section.type !== 'list' || !Array.isArray(section.value)) return [];
+    return section.value.flatMap(item => Object.values(item || {})
+        .map(value => (typeof value === 'string' || (value && typeof value === 'object') ? imageSrc(value) : ''))
+        .filter(url => typeof url === 'string' && url));
+}
+
+/**
+ * Give each section the entries of the images it uses (section.images),
+ * dropping entries for images it no longer uses
+ * @param {Array<Object>} sections
+ * @param {function(string): (Object|null|undefined)} lookup - Entry for an image URL
+ * @returns {Array<Object>} New section objects; the input is not changed
+ */
+export function withImageEntries(sections, lookup) {
+    return sections.map(section => {
+        const { images: _previous, ...rest } = section;
+        const images = {};
+        sectionImageUrls(section).forEach(url => {
+            const entry = lookup(url);
+            if (entry) images[url] = entry;
+        });
+        return Object.keys(images).length > 0 ? { ...rest, images } : rest;
+    });
+}
@@ -8,85 +8,518 @@
  *
  * For list sections, use data-cms-list="sectionKey" on a container element.
  * The container's innerHTML will be replaced with rendered list items.
- * Define a <template data-cms-template="sectionKey"> to control list item markup.
+ * Define a <template data-cms-template="sectionKey"> with a single root element
+ * to control list item markup. Template fields are HTML-escaped: {{title}}.
+ * Fields meant to carry markup opt in with triple braces, {{{description}}},
+ * and are limited to the same allow-list as richtext. Templates also support
+ * {{#if}} / {{#each}} blocks, dotted paths and filters (see cms-template.js).
+ * href/src attributes with unsafe URLs are dropped.
+ *
+ * Richtext is sanitized to simple formatting (bold, italics, links, lists).
+ *
+ * Typed sections (image, link, date, number, boolean, markdown) also bind to:
+ *   data-cms-src="key"   sets src (and alt) from an image section
+ *   data-cms-href="key"  sets href from a link section
+ *   data-cms-if="key"    shows the element only when the value is truthy
+ *                        ("!key" inverts the test)
+ * data-cms="key" renders the value as text: link label, formatted date
+ * (data-cms-format="short|medium|long|full|iso"), formatted number or
+ * rendered markdown. On an <img>, data-cms behaves like data-cms-src.
+ *
+ * The page document is looked up by id when the page declares one with
+ * <html data-cms-page="events"> (or on <body>), otherwise by its path.
+ *
+ * When Firestore is not configured or unreachable, the loader falls back to the
+ * bundled JSON files in public/content (indexed by _index.json). The source that
+ * was used is exposed as <html data-cms-source="cache|firestore|static|preview|none">.
+ *
+ * The last document seen is cached in localStorage and rendered immediately on
+ * repeat visits, then refreshed in the background (stale-while-revalidate).
+ *
+ * Only published pageContent documents are ever fetched. Editors previewing a
+ * draft open the page with ?cmsPreview=<pageId>, which renders the copy the
+ * content manager left in this browser's localStorage instead. Inside the
+ * content manager's live preview iframe (?cmsLivePreview=1) nothing is
+ * fetched; sections posted by the editor are rendered as they are typed.
+ *
+ * Sections and list items with publishAt / expiresAt are only rendered inside
+ * that window. Elements bound to a section outside its window are hidden, and
+ * an open page re-renders when the next scheduled change comes due.
+ *
+ * Production builds bake content into the HTML (see cmsPrerender() in
+ * vite.config.js) and stamp <html data-cms-prerendered="<lastModified>">.
+ * Content that is not newer than that stamp is already on the page and is
+ * not applied again, unless it carries a schedule.
+ *
+ * Pages that opt in with <html data-cms-realtime> (or on <body>) also
+ * subscribe to their Firestore document and re-apply only the sections that
+ * change. Lists are patched item by item, so unchanged items keep their DOM
+ * (and any open details or modals inside them), and the scroll position is
+ * held on whatever was at the top of the viewport.
+ *
+ * Sections may carry translations (see cms-locale.js). The visitor's locale
+ * comes from the SideNav switcher or navigator.language; untranslated copy
+ * falls back to English. <html lang> and dir follow the rendered locale, so
+ * Arabic content lays out right-to-left. Prerendered HTML is always English.
+ *
+ * Images that have resized variants (section.images, see cms-images.js) get
+ * srcset and sizes, in bound <img> elements and in list items alike.
  */
 
 import { db } from '/src/services/firebase-config.js';
-import { collection, getDocs } from 'firebase/firestore';
+import { collection, doc, getDoc, getDocs, limit, onSnapshot, query, where } from 'firebase/firestore';
+import {
+    readCachedPage,
+    writeCachedPage,
+    isSamePage,
+    readPreviewPage,
+    PREVIEW_MESSAGE,
+    PREVIEW_READY_MESSAGE
+} from '/src/services/cms-cache.js';
+import { isLive, filterLive, nextScheduleChange, sectionsHaveSchedule } from '/src/services/cms-schedule.js';
+import { safeUrl, imageSrc, linkHref, isTruthyValue } from '/src/services/cms-fields.js';
+import { renderSectionHtml, fillTemplate, renderListFallbackItem } from '/src/services/cms-render.js';
+import { TemplateError } from '/src/services/cms-template.js';
+import { responsiveAttributes, applyResponsiveImages, sectionImageEntry } from '/src/services/cms-images.js';
+import {
+    DEFAULT_LOCALE,
+    LOCALE_CHANGE_EVENT,
+    getPreferredLocale,
+    localeDirection,
+    localizeSections
+} from '/src/services/cms-locale.js';
+
+const STATIC_CONTENT_BASE = '/content';
+
+// setTimeout cannot wait longer than ~24.8 days
+const MAX_TIMER_MS = 2147483647;
+let scheduleTimer = null;
+
+let currentLocale = getPreferredLocale();
+// Untranslated sections last rendered (or already on the page), for locale switches
+let currentSections = null;
+
+// Markup each rendered list item was created from, so unchanged items are kept
+const renderedItemSource = new WeakMap();
+
+// Template fields already reported as unknown ("key:path")
+const reportedTemplateFields = new Set();
+
+// Page paths are stored as file names ("events.html") but visitors arrive on
+// clean URLs ("/events"), so compare both without the extension.
+function normalizePath(path) {
+    return (path || 'index.html').replace(/\.html$/, '');
+}
+
+// Page id declared by the page itself, if any
+function getDeclaredPageId() {
+    return document.documentElement.dataset.cmsPage || document.body?.dataset.cmsPage || null;
+}
+
+function isRealtimeEnabled() {
+    return 'cmsRealtime' in document.documentElement.dataset ||
+        Boolean(document.body && 'cmsRealtime' in document.body.dataset);
+}
+
+// Firestore reference for the page document: by id, else by path
+function pageContentTarget(currentPath, pageId) {
+    if (pageId) return doc(db, 'pageContent', pageId);
+
+    const base = normalizePath(currentPath);
+    return query(
+        collection(db, 'pageContent'),
+        where('path', 'in', [`${base}.html`, base]),
+        limit(1)
+    );
+}
+
+// Load the page document from Firestore, or null if it is not available
+async function fetchFirestorePage(currentPath, pageId) {
+    if (!db) return null;
+
+    try {
+        if (pageId) {
+            const snap = await getDoc(pageContentTarget(currentPath, pageId));
+            return snap.exists() ? snap.data() : null;
+        }
+
+        const snapshot = await getDocs(pageContentTarget(currentPath, pageId));
+        return snapshot.empty ? null : snapshot.docs[0].data();
+    } catch (error) {
+        console.warn('[CMS] Firestore unavailable, using bundled content:', error.message);
+        return null;
+    }
+}
+
+// Load the page document from the bundled public/content JSON files
+async function fetchStaticPage(currentPath, pageId) {
+    try {
+        let id = pageId;
+
+        if (!id) {
+            const indexRes = await fetch(`${STATIC_CONTENT_BASE}/_index.json`);
+            if (!indexRes.ok) return null;
+
+            const { pages = [] } = await indexRes.json();
+            const entry = pages.find(p => normalizePath(p.path) === normalizePath(currentPath));
+            if (!entry) return null;
+            id = entry.id;
+        }
+
+        const pageRes = await fetch(`${STATIC_CONTENT_BASE}/${id}.json`);
+        if (!pageRes.ok) return null;
+
+        return await pageRes.json();
+    } catch (error) {
+        console.warn('[CMS] Bundled content unavailable:', error.message);
+        return null;
+    }
+}
+
+// Hide (or re-show) every element bound to a section based on its schedule
+function setSectionVisibility(key, live) {
+    const selector = ['data-cms', 'data-cms-list', 'data-cms-src', 'data-cms-href']
+        .map(attr => `[${attr}="${key}"]`)
+        .join(', ');
+
+    document.querySelectorAll(selector).forEach(el => {
+        if (!live) {
+            el.hidden = true;
+            el.dataset.cmsScheduled = 'hidden';
+        } else if (el.dataset.cmsScheduled === 'hidden') {
+            el.hidden = false;
+            delete el.dataset.cmsScheduled;
+        }
+    });
+}
+
+function setImage(el, section, value) {
+    const src = safeUrl(imageSrc(value));
+    if (src && el.getAttribute('src') !== src) {
+        el.src = src;
+        // A srcset (and <picture> sources) from the build describe the old image
+        el.removeAttribute('srcset');
+        if (el.parentElement && el.parentElement.tagName === 'PICTURE') {
+            el.parentElement.querySelectorAll('source').forEach(source => source.remove());
+        }
+    }
+    if (section.alt) el.alt = section.alt;
+
+    const attrs = src && responsiveAttributes(sectionImageEntry(section, src) || {}, el.getAttribute('sizes'));
+    if (attrs) {
+        el.srcset = attrs.srcset;
+        el.sizes = attrs.sizes;
+    }
+}
+
+// Render a non-list value into a data-cms element according to its type
+function renderValue(el, section, value) {
+    if (section.type === 'image') {
+        if (el.tagName === 'IMG') setImage(el, section, value);
+        return;
+    }
+
+    const html = renderSectionHtml(section, value, el.dataset.cmsFormat);
+    if (html !== null) el.innerHTML = html;
+
+    if (section.type === 'link' && el.tagName === 'A' && safeUrl(linkHref(value))) {
+        el.href = safeUrl(linkHref(value));
+    }
+    if (section.type === 'date' && el.tagName === 'TIME') el.dateTime = value || '';
+}
+
+// Attribute bindings that work with any section type
+function applyBindings(section, value) {
+    const { key } = section;
+
+    document.querySelectorAll(`[data-cms-src="${key}"]`).forEach(el => setImage(el, section, value));
+
+    document.querySelectorAll(`[data-cms-href="${key}"]`).forEach(el => {
+        const href = safeUrl(linkHref(value));
+        if (href) el.href = href;
+    });
+
+    document.querySelectorAll(`[data-cms-if="${key}"], [data-cms-if="!${key}"]`).forEach(el => {
+        const negate = el.dataset.cmsIf.startsWith('!');
+        el.hidden = negate ? isTruthyValue(value) : !isTruthyValue(value);
+    });
+}
+
+// Follow the rendered locale in <html lang> / dir; stay English when the
+// page has nothing translated into the visitor's locale
+function applyDocumentLocale(sections) {
+    const translated = currentLocale !== DEFAULT_LOCALE &&
+        sections.some(s => s.translations && ![undefined, null, ''].includes(s.translations[currentLocale]));
+    const locale = translated ? currentLocale : DEFAULT_LOCALE;
+    document.documentElement.lang = locale;
+    document.documentElement.dir = localeDirection(locale);
+}
+
+// Replace only the list items whose markup changed
+function patchList(container, itemsHtml) {
+    const holder = document.createElement('template');
+    const existing = [...container.children];
+
+    // Stray text from the static HTML has no place among rendered items
+    [...container.childNodes].forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) node.remove();
+    });
+
+    itemsHtml.forEach((html, i) => {
+        const current = existing[i];
+        if (current && renderedItemSource.get(current) === html) return;
+
+        holder.innerHTML = html;
+        const node = holder.content.firstElementChild;
+        if (!node) return;
+        renderedItemSource.set(node, html);
+
+        if (current) container.replaceChild(node, current);
+        else container.appendChild(node);
+    });
+
+    existing.slice(itemsHtml.length).forEach(el => el.remove());
+}
+
+// Markup for each list item, from the section's template when it has one
+function renderListItems(key, template, items) {
+    if (!template) return items.map(renderListFallbackItem);
+
+    const onUnknownField = path => {
+        if (reportedTemplateFields.has(`${key}:${path}`)) return;
+        reportedTemplateFields.add(`${key}:${path}`);
+        console.warn(`[CMS] Template "${key}" uses unknown field "${path}"`);
+    };
+
+    try {
+        const source = template.innerHTML.trim();
+        return items.map(item => fillTemplate(source, item, { onUnknownField }));
+    } catch (error) {
+        if (!(error instanceof TemplateError)) throw error;
+        console.error(`[CMS] Template "${key}" is invalid, rendering a plain list: ${error.message}`);
+        return items.map(renderListFallbackItem);
+    }
+}
+
+// Keep whatever is at the top of the viewport in place while the DOM changes
+function preserveScroll(update) {
+    const anchor = document.elementFromPoint(window.innerWidth / 2, 1);
+    const before = anchor ? anchor.getBoundingClientRect().top : 0;
+
+    update();
+
+    if (anchor && anchor.isConnected) {
+        const shift = anchor.getBoundingClientRect().top - before;
+        if (shift !== 0) window.scrollBy(0, shift);
+    }
+}
+
+// Keys of sections that are new, differ from the previous list or were removed
+function changedSectionKeys(before, after) {
+    const previous = new Map((before || []).map(s => [s.key, JSON.stringify(s)]));
+    const current = new Set(after.map(s => s.key));
+    const changed = after.filter(s => previous.get(s.key) !== JSON.stringify(s)).map(s => s.key);
+    const removed = [...previous.keys()].filter(key => !current.has(key));
+    return new Set([...changed, ...removed]);
+}
+
+/**
+ * @param {Array} sections - All sections of the page
+ * @param {Set<string>} [onlyKeys] - Apply just these sections (realtime updates)
+ */
+function applySections(sections, onlyKeys = null) {
+    const now = new Date();
+    currentSections = sections;
+    applyDocumentLocale(sections);
+
+    // Apply each section to matching DOM elements
+    localizeSections(sections, currentLocale).forEach(section => {
+        const { key, type } = section;
+        if (onlyKeys && !onlyKeys.has(key)) return;
+
+        const live = isLive(section, now);
+        setSectionVisibility(key, live);
+        if (!live) return;
+
+        const value = type === 'list' && Array.isArray(section.value)
+            ? filterLive(section.value, now)
+            : section.value;
+
+        if (type !== 'list') {
+            // Find all elements with data-cms="key"
+            document.querySelectorAll(`[data-cms="${key}"]`).forEach(el => renderValue(el, section, value));
+            applyBindings(section, value);
+        }
+
+        if (type === 'list') {
+            // Find list container
+            const container = document.querySelector(`[data-cms-list="${key}"]`);
+            if (!container || !Array.isArray(value)) return;
+
+            // Template-based rendering, or just titles as bullet points
+            const template = document.querySelector(`template[data-cms-template="${key}"]`);
+            const items = renderListItems(key, template, value)
+                .map(html => applyResponsiveImages(html, url => sectionImageEntry(section, url)));
+            patchList(container, items);
+        }
+    });
+
+    // A section removed from the document leaves stale content behind:
+    // hide it like an expired one, until the section comes back
+    if (onlyKeys) {
+        const present = new Set(sections.map(s => s.key));
+        onlyKeys.forEach(key => {
+            if (!present.has(key)) setSectionVisibility(key, false);
+        });
+    }
+
+    scheduleNextRender(sections);
+}
+
+// Re-render when the next section or list item goes live or expires
+function scheduleNextRender(sections) {
+    clearTimeout(scheduleTimer);
+
+    const next = nextScheduleChange(sections);
+    if (!next) return;
+
+    const delay = next.getTime() - Date.now();
+    if (delay > MAX_TIMER_MS) return;
+
+    scheduleTimer = setTimeout(() => applySections(sections), Math.max(delay, 0) + 1000);
+}
+
+// Fetch the freshest page document: Firestore first, bundled JSON second
+async function fetchPage(currentPath, pageId) {
+    const fromFirestore = await fetchFirestorePage(currentPath, pageId);
+    if (fromFirestore && fromFirestore.sections) {
+        return { page: fromFirestore, source: 'firestore' };
+    }
+
+    const fromStatic = await fetchStaticPage(currentPath, pageId);
+    if (fromStatic && fromStatic.sections) {
+        return { page: fromStatic, source: 'static' };
+    }
+
+    return { page: null, source: 'none' };
+}
+
+// Whether a page document is newer than the content baked in at build time
+function isNewerThanBuild(page, prerenderedAt) {
+    return !prerenderedAt || !page.lastModified || page.lastModified > prerenderedAt;
+}
+
+// Follow the page document and re-apply the sections that change
+function subscribeToPage(currentPath, pageId, cacheKey) {
+    if (!db) return;
+
+    onSnapshot(pageContentTarget(currentPath, pageId), snapshot => {
+        const docSnap = pageId ? snapshot : snapshot.docs[0];
+        if (!docSnap || !docSnap.exists()) return;
+
+        const page = docSnap.data();
+        if (!Array.isArray(page.sections)) return;
+
+        const changed = changedSectionKeys(currentSections, page.sections);
+        if (changed.size === 0) return;
+
+        writeCachedPage(cacheKey, page, 'firestore');
+        document.documentElement.dataset.cmsSource = 'firestore';
+        preserveScroll(() => applySections(page.sections, changed));
+        console.log(`[CMS] Live update for ${page.name}: ${[...changed].join(', ')}`);
+    }, error => {
+        console.warn('[CMS] Realtime updates unavailable:', error.message);
+    });
+}
+
+// Render unsaved sections posted by the content manager hosting this page
+function startLivePreview() {
+    document.documentElement.dataset.cmsSource = 'preview';
+
+    window.addEventListener('message', event => {
+        if (event.source !== window.parent || event.origin !== window.location.origin) return;
+        const { type, sections, locale } = event.data || {};
+        if (type !== PREVIEW_MESSAGE || !Array.isArray(sections)) return;
+
+        if (locale) currentLocale = locale;
+        applySections(sections);
+    });
+
+    window.parent.postMessage({ type: PREVIEW_READY_MESSAGE }, window.location.origin);
+    console.log('[CMS] Live preview ready');
+}
+
+// Re-render in the new locale when the visitor switches language
+window.addEventListener(LOCALE_CHANGE_EVENT, event => {
+    currentLocale = event.detail.locale;
+    if (currentSections) applySections(currentSections);
+});
 
 (async function loadCmsContent() {
     // Determine current page path
     const currentPath = window.location.pathname.split('/').pop() || 'index.html';
+    const pageId = getDeclaredPageId();
+    const cacheKey = pageId || normalizePath(currentPath);
+    const prerenderedAt = document.documentElement.dataset.cmsPrerendered || null;
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('cmsLivePreview') && window.parent !== window) {
+        startLivePreview();
+        return;
+    }
+
+    // Editor preview of unpublished sections — never cached
+    const previewId = params.get('cmsPreview');
+    if (previewId) {
+        const preview = readPreviewPage(previewId);
+        if (preview && preview.sections) {
+            document.documentElement.dataset.cmsSource = 'preview';
+            applySections(preview.sections);
+            console.log(`[CMS] Previewing unpublished content for: ${preview.name}`);
+            return;
+        }
+    }
 
     try {
-        // Find the matching pageContent document
-        const snapshot = await getDocs(collection(db, 'pageContent'));
-        let pageData = null;
-
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            if (data.path === currentPath) {
-                pageData = data;
+        // Render the cached copy right away, then revalidate. A copy cached
+        // before this build is older than what the HTML already shows.
+        let cached = readCachedPage(cacheKey);
+        if (cached && !isNewerThanBuild(cached.page, prerenderedAt)) cached = null;
+        if (cached) {
+            document.documentElement.dataset.cmsSource = 'cache';
+            applySections(cached.page.sections);
+        }
+
+        const { page: pageData, source } = await fetchPage(currentPath, pageId);
+
+        if (!pageData) {
+            if (!cached) {
+                document.documentElement.dataset.cmsSource = 'none';
+                console.log('[CMS] No content found for:', currentPath);
             }
-        });
+            return;
+        }
+
+        document.documentElement.dataset.cmsSource = source;
+        writeCachedPage(cacheKey, pageData, source);
+        // Snapshots arrive asynchronously, after the render below
+        if (isRealtimeEnabled()) subscribeToPage(currentPath, pageId, cacheKey);
 
-        if (!pageData || !pageData.sections) {
-            console.log('[CMS] No content found for:', currentPath);
+        if (cached && isSamePage(cached.page, pageData)) {
+            console.log(`[CMS] Cached content is current for: ${pageData.name} (source: ${source})`);
             return;
         }
 
-        const sections = pageData.sections;
-
-        // Apply each section to matching DOM elements
-        sections.forEach(section => {
-            const { key, type, value } = section;
-
-            if (type === 'text' || type === 'richtext') {
-                // Find all elements with data-cms="key"
-                const elements = document.querySelectorAll(`[data-cms="${key}"]`);
-                elements.forEach(el => {
-                    if (type === 'text') {
-                        el.textContent = value;
-                    } else {
-                        // For richtext, preserve line breaks as <br>
-                        el.innerHTML = value.replace(/\n/g, '<br>');
-                    }
-                });
-            }
+        if (!cached && currentLocale === DEFAULT_LOCALE && !isNewerThanBuild(pageData, prerenderedAt) &&
+            !sectionsHaveSchedule(pageData.sections)) {
+            currentSections = pageData.sections;
+            console.log(`[CMS] Prerendered content is current for: ${pageData.name} (source: ${source})`);
+            return;
+        }
 
-            if (type === 'list') {
-                // Find list container
-                const container = document.querySelector(`[data-cms-list="${key}"]`);
-                if (!container || !Array.isArray(value)) return;
-
-                // Check for a template
-                const template = document.querySelector(`template[data-cms-template="${key}"]`);
-
-                if (template) {
-                    // Use template-based rendering
-                    container.innerHTML = '';
-                    value.forEach(item => {
-                        const clone = template.content.cloneNode(true);
-                        // Replace placeholders like {{title}}, {{description}}, etc.
-                        const html = clone.firstElementChild.outerHTML.replace(
-                            /\{\{(\w+)\}\}/g,
-                            (_, field) => item[field] || ''
-                        );
-                        container.insertAdjacentHTML('beforeend', html);
-                    });
-                } else {
-                    // Simple list rendering (just titles as bullet points)
-                    container.innerHTML = value.map(item => {
-                        if (item.title && item.description) {
-                            return `<li><strong>${item.title}</strong>: ${item.description}</li>`;
-                        }
-                        return `<li>${item.title || JSON.stringify(item)}</li>`;
-                    }).join('');
-                }
-            }
-        });
+        applySections(pageData.sections);
 
-        console.log(`[CMS] Content loaded for: ${pageData.name} (${sections.length} sections)`);
+        console.log(`[CMS] Content loaded for: ${pageData.name} (${pageData.sections.length} sections, source: ${source})`);
     } catch (error) {
         console.warn('[CMS] Failed to load content:', error.message);
         // Silently fail — page will show its static HTML content
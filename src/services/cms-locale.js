@@ -0,0 +1,203 @@
+/**
+ * CMS Locales
+ * Sections hold their English copy in `value` and translations per locale in
+ * `translations`:
+ *
+ *   { key: "heroTitle", type: "text", value: "Sacred Events",
+ *     translations: { fr: "Événements sacrés", ar: "..." } }
+ *
+ * Missing or empty translations fall back to English. List translations are
+ * arrays of partial items matched to the English items by position, so
+ * images, ids and schedules stay shared and untranslated fields fall back
+ * field by field. Link translations may override the label, the href or both.
+ *
+ * The visitor's locale comes from the SideNav switcher (persisted in
+ * localStorage) or navigator.language. Changing it dispatches a
+ * "perankh:localechange" event on window.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = [
+    { code: 'en', label: 'English', dir: 'ltr' },
+    { code: 'fr', label: 'Français', dir: 'ltr' },
+    { code: 'ar', label: 'العربية', dir: 'rtl' }
+];
+
+// Section types whose values are language-neutral are never translated
+export const TRANSLATABLE_TYPES = ['text', 'richtext', 'markdown', 'list', 'link'];
+
+// List item keys that hold media or metadata rather than copy
+const UNTRANSLATED_ITEM_FIELDS = ['id', 'publishAt', 'expiresAt', 'image'];
+
+const STORAGE_KEY = 'perankh_locale';
+
+export const LOCALE_CHANGE_EVENT = 'perankh:localechange';
+
+function isBlank(value) {
+    return value == null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Match a language tag ("fr-CA") to a supported locale code
+ * @param {string} tag
+ * @returns {string|null}
+ */
+export function matchLocale(tag) {
+    if (!tag) return null;
+    const language = String(tag).toLowerCase().split(/[-_]/)[0];
+    return LOCALES.some(l => l.code === language) ? language : null;
+}
+
+/**
+ * @param {string} code
+ * @returns {'ltr'|'rtl'}
+ */
+export function localeDirection(code) {
+    const locale = LOCALES.find(l => l.code === code);
+    return locale ? locale.dir : 'ltr';
+}
+
+/**
+ * Locale saved by the switcher, else the browser's preferred language
+ * @returns {string}
+ */
+export function getPreferredLocale() {
+    try {
+        const saved = matchLocale(localStorage.getItem(STORAGE_KEY));
+        if (saved) return saved;
+    } catch {
+        // Storage blocked — fall through to the browser language
+    }
+
+    const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    for (const tag of languages) {
+        const code = matchLocale(tag);
+        if (code) return code;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Persist the visitor's choice and notify the page
+ * @param {string} code
+ */
+export function setPreferredLocale(code) {
+    const locale = matchLocale(code) || DEFAULT_LOCALE;
+    try {
+        localStorage.setItem(STORAGE_KEY, locale);
+    } catch {
+        // Storage blocked — the choice lasts for this page only
+    }
+    window.dispatchEvent(new CustomEvent(LOCALE_CHANGE_EVENT, { detail: { locale } }));
+}
+
+/**
+ * @param {Object} section
+ * @returns {boolean}
+ */
+export function isTranslatable(section) {
+    return TRANSLATABLE_TYPES.includes(section.type);
+}
+
+/**
+ * List item fields that carry copy, judged from the English items
+ * @param {Array} items
+ * @returns {string[]}
+ */
+export function translatableItemFields(items) {
+    const fields = new Set();
+    (items || []).forEach(item => {
+        Object.keys(item || {}).forEach(field => {
+            if (!UNTRANSLATED_ITEM_FIELDS.includes(field) && typeof item[field] === 'string') fields.add(field);
+        });
+    });
+    return [...fields];
+}
+
+// Overlay the non-blank fields of a partial translation on the English value
+function overlay(base, translated) {
+    const result = { ...base };
+    Object.entries(translated || {}).forEach(([field, value]) => {
+        if (!isBlank(value)) result[field] = value;
+    });
+    return result;
+}
+
+/**
+ * Section value in a locale, falling back to English
+ * @param {Object} section
+ * @param {string} locale
+ * @returns {*}
+ */
+export function localizedValue(section, locale) {
+    const translated = section.translations && section.translations[locale];
+    if (locale === DEFAULT_LOCALE || !isTranslatable(section) || translated == null) return section.value;
+
+    if (section.type === 'list') {
+        if (!Array.isArray(section.value)) return section.value;
+        const items = Array.isArray(translated) ? translated : [];
+        return section.value.map((item, i) => overlay(item, items[i]));
+    }
+
+    if (section.type === 'link') {
+        const base = section.value && typeof section.value === 'object' ? section.value : { href: section.value || '' };
+        return overlay(base, typeof translated === 'object' ? translated : { label: translated });
+    }
+
+    return isBlank(translated) ? section.value : translated;
+}
+
+/**
+ * Copy of the sections with each value resolved for a locale
+ * @param {Array} sections
+ * @param {string} locale
+ * @returns {Array}
+ */
+export function localizeSections(sections, locale) {
+    if (locale === DEFAULT_LOCALE) return sections;
+    return sections.map(section => ({ ...section, value: localizedValue(section, locale) }));
+}
+
+/**
+ * Sections whose English copy has no (or only a partial) translation
+ * @param {Array} sections
+ * @param {string} locale
+ * @returns {Array<{key: string, label: string, missing: number, total: number}>}
+ */
+export function missingTranslations(sections, locale) {
+    const report = [];
+
+    sections.forEach(section => {
+        if (!isTranslatable(section)) return;
+        const translated = section.translations && section.translations[locale];
+        let total = 0;
+        let missing = 0;
+
+        if (section.type === 'list') {
+            const items = Array.isArray(section.value) ? section.value : [];
+            const translatedItems = Array.isArray(translated) ? translated : [];
+            const fields = translatableItemFields(items);
+            items.forEach((item, i) => {
+                fields.forEach(field => {
+                    if (isBlank(item[field])) return;
+                    total++;
+                    if (isBlank(translatedItems[i] && translatedItems[i][field])) missing++;
+                });
+            });
+        } else if (section.type === 'link') {
+            const label = section.value && typeof section.value === 'object' ? section.value.label : '';
+            if (!isBlank(label)) {
+                total = 1;
+                if (isBlank(translated && typeof translated === 'object' ? translated.label : translated)) missing = 1;
+            }
+        } else if (!isBlank(section.value)) {
+            total = 1;
+            if (isBlank(translated)) missing = 1;
+        }
+
+        if (missing > 0) report.push({ key: section.key, label: section.label || section.key, missing, total });
+    });
+
+    return report;
+}
@@ -0,0 +1,74 @@
+/**
+ * CMS Markdown
+ * Renders the small markdown subset used by "markdown" sections: headings,
+ * paragraphs, bullet and numbered lists, **bold**, *italics*, `code` and
+ * [links](https://...). Input is HTML-escaped first, so raw HTML in the
+ * source is shown as text, and link targets go through safeUrl().
+ */
+
+import { escapeHtml, safeUrl } from './cms-fields.js';
+
+function renderInline(text) {
+    return text
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_([^_]+)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+            const url = safeUrl(href.replace(/&amp;/g, '&'));
+            return url ? `<a href="${escapeHtml(url)}">${label}</a>` : label;
+        });
+}
+
+/**
+ * Convert markdown to HTML
+ * @param {string} source
+ * @returns {string}
+ */
+export function renderMarkdown(source) {
+    const lines = escapeHtml(source || '').split(/\r?\n/);
+    const html = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length) html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) html.push(`<${list.tag}>${list.items.map(i => `<li>${renderInline(i)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+
+    lines.forEach(line => {
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+        if (heading) {
+            flushParagraph();
+            flushList();
+            // Page titles own h1/h2, so markdown headings start at h3
+            const level = heading[1].length + 2;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (!list || list.tag !== tag) {
+                flushList();
+                list = { tag, items: [] };
+            }
+            list.items.push((bullet || numbered)[1]);
+        } else if (!line.trim()) {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(line);
+        }
+    });
+
+    flushParagraph();
+    flushList();
+    return html.join('');
+}
@@ -0,0 +1,92 @@
+/**
+ * CMS Media Usage
+ * Works out where media library files are used, so the library can show
+ * "used on" links, warn before deleting a file that is still in use and
+ * list files nothing uses any more.
+ *
+ * A reference source is anything that can point at a file:
+ *   { kind: 'page' | 'draft' | 'profile' | 'static', id, label, href, text }
+ * text is searched for the file's URL or its encoded Storage path (the part
+ * of a download URL that survives a token change), so a file counts as used
+ * whether it sits in an image section, a list item, a translation, markdown
+ * or a richtext <img>. The content manager reads pageContent, pageDrafts and
+ * profiles from Firestore; static pages are scanned at build time
+ * (scripts/media-references.js) into /media-references.json:
+ *
+ *   { version: 1, generatedAt, pages: [{ path, title, urls }] }
+ *
+ * Imported by Node as well as the browser: no DOM or Firebase access.
+ */
+
+export const MEDIA_REFERENCES_URL = '/media-references.json';
+export const MEDIA_REFERENCES_VERSION = 1;
+
+// Firebase Storage download URLs
+const STORAGE_URL_RE = /https:\/\/(?:firebasestorage\.googleapis\.com|storage\.googleapis\.com)\/[^\s"'<>()\\]+/g;
+
+/**
+ * Firebase Storage URLs in a string (HTML, CSS, JSON...)
+ * @param {string} text
+ * @returns {string[]} Unique, in order of appearance
+ */
+export function storageUrls(text) {
+    return [...new Set(String(text || '').match(STORAGE_URL_RE) || [])].map(url => url.replace(/&amp;/g, '&'));
+}
+
+/**
+ * Strings that identify a record's file and its resized variants
+ * @param {Object} record - Media record
+ * @returns {string[]}
+ */
+export function mediaKeys(record) {
+    const files = [record, ...(record.variants || [])];
+    const keys = [];
+    files.forEach(file => {
+        if (file.url) keys.push(file.url);
+        if (file.storagePath) keys.push(`/o/${encodeURIComponent(file.storagePath)}`);
+    });
+    return keys;
+}
+
+/**
+ * Where each record is used
+ * @param {Array<Object>} records - Media records (with id)
+ * @param {Array<Object>} sources - Reference sources
+ * @returns {Object<string, Array<{kind: string, id: string, label: string, href: string}>>}
+ *   Uses by record id; records nothing uses map to an empty array
+ */
+export function mediaUsage(records, sources) {
+    const usage = {};
+    records.forEach(record => {
+        const keys = mediaKeys(record);
+        usage[record.id] = sources
+            .filter(source => keys.some(key => source.text.includes(key)))
+            .map(({ kind, id, label, href }) => ({ kind, id, label, href }));
+    });
+    return usage;
+}
+
+/**
+ * Records that nothing uses
+ * @param {Array<Object>} records
+ * @param {Object} usage - From mediaUsage
+ * @returns {Array<Object>}
+ */
+export function unusedMedia(records, usage) {
+    return records.filter(record => usage[record.id] && usage[record.id].length === 0);
+}
+
+/**
+ * Reference sources for the static pages in a media-references.json
+ * @param {Object} references
+ * @returns {Array<Object>}
+ */
+export function staticReferenceSources(references) {
+    return ((references && references.pages) || []).map(page => ({
+        kind: 'static',
+        id: page.path,
+        label: page.title || page.path,
+        href: page.path,
+        text: page.urls.join('\n')
+    }));
+}
@@ -0,0 +1,365 @@
+/**
+ * CMS Media Library
+ * Files in Firebase Storage, described by records in Firestore. Used by the
+ * content manager's Media tab, its image picker and the profile editor.
+ *
+ *   media/{folder}/{timestamp}_{name}   the file (Storage)
+ *   media/{folder}/{timestamp}_{name}-{width}w.webp   resized variants of images
+ *   media/{mediaId}                     { name, size, type, folder, alt, caption, url,
+ *                                         storagePath, uploadDate, uploadedBy, updatedAt,
+ *                                         width?, height?, placeholder?, variants? }
+ *
+ * Folders are a field on the record; the Storage path only records the
+ * folder a file was uploaded to, so moving a file never changes its URL.
+ * Records from older uploads may have no folder, alt or caption.
+ *
+ * JPG, PNG and WebP uploads are resized in the browser to the widths of
+ * cms-images.js (WebP, plus AVIF where the browser can encode it) with a
+ * blur-up placeholder; the record then doubles as an image entry. An image
+ * that cannot be resized is still uploaded, just without variants.
+ *
+ * Where files are used is worked out by cms-media-usage.js, from the
+ * sources loadReferenceSources() reads.
+ */
+
+import { db, storage } from '/src/services/firebase-config.js';
+import { collection, doc, addDoc, getDocs, updateDoc, deleteDoc, query, orderBy } from 'firebase/firestore';
+import { ref, uploadBytes, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import { IMAGE_FORMATS, PLACEHOLDER_WIDTH, targetWidths, variantPath } from '/src/services/cms-images.js';
+import { MEDIA_REFERENCES_URL, staticReferenceSources } from '/src/services/cms-media-usage.js';
+
+const MEDIA_COLLECTION = 'media';
+const STORAGE_ROOT = 'media';
+
+// Keep in step with storage.rules (which also accept AVIF variants)
+export const MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf', 'video/mp4'];
+export const MAX_MEDIA_SIZE = 10 * 1024 * 1024;
+
+// Uploads that get resized variants
+const RESIZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Type filters offered by the library
+export const MEDIA_KINDS = {
+    image: type => type.startsWith('image/'),
+    video: type => type.startsWith('video/'),
+    document: type => !type.startsWith('image/') && !type.startsWith('video/')
+};
+
+function requireFirebase() {
+    if (!db || !storage) throw new Error('Firebase is not configured');
+    return { db, storage };
+}
+
+/**
+ * Tidy a folder name: lowercase path segments of letters, digits and dashes
+ * ("Events / 2026" -> "events/2026"); '' is the top level
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeFolder(name) {
+    return String(name || '')
+        .split('/')
+        .map(part => part.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+        .filter(Boolean)
+        .join('/');
+}
+
+/**
+ * Why a file cannot go into the library
+ * @param {File} file
+ * @returns {string|null} Message, or null when the file is acceptable
+ */
+export function validateMediaFile(file) {
+    if (!MEDIA_TYPES.includes(file.type)) {
+        return `"${file.name}" is a ${file.type || 'unknown'} file; supported formats are JPG, PNG, GIF, WEBP, PDF and MP4`;
+    }
+    if (file.size > MAX_MEDIA_SIZE) {
+        return `"${file.name}" is larger than ${MAX_MEDIA_SIZE / 1024 / 1024} MB`;
+    }
+    return null;
+}
+
+function canvasBlob(canvas, type) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, 0.8));
+}
+
+function drawScaled(bitmap, width) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = Math.max(1, Math.round(bitmap.height * width / bitmap.width));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+function hasTransparency(canvas) {
+    const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] < 255) return true;
+    }
+    return false;
+}
+
+/**
+ * Resize an image in the browser
+ * @param {File} file
+ * @returns {Promise<{width: number, height: number, placeholder: string|null, variants: Array<{width: number, type: string, ext: string, blob: Blob}>}|null>}
+ *   null for files that are not resizable images
+ */
+export async function makeImageVariants(file) {
+    if (!RESIZABLE_TYPES.includes(file.type) || typeof createImageBitmap !== 'function') return null;
+
+    const bitmap = await createImageBitmap(file);
+    try {
+        const variants = [];
+        for (const width of targetWidths(bitmap.width)) {
+            const canvas = drawScaled(bitmap, width);
+            for (const format of IMAGE_FORMATS) {
+                const blob = await canvasBlob(canvas, format.type);
+                // Browsers that cannot encode a format fall back to PNG
+                if (blob && blob.type === format.type) variants.push({ width, type: format.type, ext: format.ext, blob });
+            }
+        }
+
+        // Transparent images would show the placeholder through them
+        const tiny = drawScaled(bitmap, Math.min(PLACEHOLDER_WIDTH, bitmap.width));
+        const placeholder = hasTransparency(tiny) ? null : tiny.toDataURL('image/jpeg', 0.4);
+
+        return { width: bitmap.width, height: bitmap.height, placeholder, variants };
+    } finally {
+        bitmap.close();
+    }
+}
+
+// Make and upload the variants of an image; their fields for its record
+async function uploadVariants(storage, file, storagePath) {
+    try {
+        const made = await makeImageVariants(file);
+        if (!made) return {};
+
+        const variants = [];
+        for (const variant of made.variants) {
+            const path = variantPath(storagePath, variant.width, variant.ext);
+            const variantRef = ref(storage, path);
+            await uploadBytes(variantRef, variant.blob, { contentType: variant.type });
+            variants.push({ url: await getDownloadURL(variantRef), width: variant.width, type: variant.type, storagePath: path });
+        }
+        return { width: made.width, height: made.height, placeholder: made.placeholder, variants };
+    } catch (error) {
+        console.warn(`[CMS] Could not make resized versions of ${file.name}:`, error);
+        return {};
+    }
+}
+
+/**
+ * Upload a file and create its record
+ * @param {File} file
+ * @param {Object} [details]
+ * @param {string} [details.folder]
+ * @param {string} [details.alt]
+ * @param {string} [details.caption]
+ * @param {Object} [details.uploadedBy] - { id, email, name }
+ * @param {function(number)} [onProgress] - Percentage uploaded, 0-100
+ * @returns {Promise<Object>} The new record, with its id
+ * @throws {Error} When the file fails validateMediaFile or the upload fails
+ */
+export async function uploadMedia(file, details = {}, onProgress) {
+    const { db, storage } = requireFirebase();
+    const problem = validateMediaFile(file);
+    if (problem) throw new Error(problem);
+
+    const folder = normalizeFolder(details.folder);
+    const safeName = file.name.replace(/[^a-zA-Z0-9._-]/g, '_');
+    const storagePath = [STORAGE_ROOT, folder, `${Date.now()}_${safeName}`].filter(Boolean).join('/');
+    const storageRef = ref(storage, storagePath);
+    const task = uploadBytesResumable(storageRef, file, { contentType: file.type });
+
+    await new Promise((resolve, reject) => {
+        task.on('state_changed',
+            snapshot => onProgress && onProgress(snapshot.totalBytes ? (snapshot.bytesTransferred / snapshot.totalBytes) * 100 : 0),
+            reject,
+            resolve);
+    });
+
+    const sizes = await uploadVariants(storage, file, storagePath);
+    const record = {
+        ...sizes,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        folder,
+        alt: (details.alt || '').trim(),
+        caption: (details.caption || '').trim(),
+        url: await getDownloadURL(storageRef),
+        storagePath,
+        uploadDate: new Date().toISOString(),
+        uploadedBy: details.uploadedBy || null
+    };
+
+    try {
+        const added = await addDoc(collection(db, MEDIA_COLLECTION), record);
+        return { id: added.id, ...record };
+    } catch (error) {
+        // Do not leave files behind that the library cannot show
+        await deleteObject(storageRef).catch(() => {});
+        await Promise.all((sizes.variants || []).map(v => deleteObject(ref(storage, v.storagePath)).catch(() => {})));
+        throw error;
+    }
+}
+
+/**
+ * Every media record, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listMedia() {
+    const { db } = requireFirebase();
+    const snapshot = await getDocs(query(collection(db, MEDIA_COLLECTION), orderBy('uploadDate', 'desc')));
+    return snapshot.docs.map(d => ({ id: d.id, folder: '', alt: '', caption: '', ...d.data() }));
+}
+
+/**
+ * Change the descriptive fields of a record
+ * @param {string} id
+ * @param {Object} changes - Any of { name, folder, alt, caption }
+ * @returns {Promise<Object>} The fields written
+ */
+export async function updateMedia(id, changes) {
+    const { db } = requireFirebase();
+    const update = {};
+
+    ['name', 'alt', 'caption'].forEach(field => {
+        if (changes[field] !== undefined) update[field] = String(changes[field]).trim();
+    });
+    if (changes.folder !== undefined) update.folder = normalizeFolder(changes.folder);
+    if (update.name === '') delete update.name;
+    update.updatedAt = new Date().toISOString();
+
+    await updateDoc(doc(db, MEDIA_COLLECTION, id), update);
+    return update;
+}
+
+/**
+ * Delete a file, its resized variants and its record
+ * @param {Object} record - From listMedia
+ * @returns {Promise<void>}
+ */
+export async function deleteMedia(record) {
+    const { db, storage } = requireFirebase();
+    const paths = [record.storagePath, ...(record.variants || []).map(v => v.storagePath)].filter(Boolean);
+
+    for (const path of paths) {
+        try {
+            await deleteObject(ref(storage, path));
+        } catch (error) {
+            // Already gone: still remove the record that points at it
+            if (error.code !== 'storage/object-not-found') throw error;
+        }
+    }
+    await deleteDoc(doc(db, MEDIA_COLLECTION, record.id));
+}
+
+/**
+ * A record as an image entry (see cms-images.js)
+ * @param {Object} record
+ * @returns {Object|null} null when the record has no variants
+ */
+export function mediaImageEntry(record) {
+    if (!record || !Array.isArray(record.variants) || record.variants.length === 0) return null;
+    return {
+        width: record.width,
+        height: record.height,
+        placeholder: record.placeholder || null,
+        variants: record.variants.map(({ url, width, type }) => ({ url, width, type }))
+    };
+}
+
+/**
+ * Folders used by the records (parents included), sorted
+ * @param {Array<Object>} records
+ * @returns {string[]}
+ */
+export function mediaFolders(records) {
+    const folders = new Set();
+    records.forEach(record => {
+        const parts = normalizeFolder(record.folder).split('/').filter(Boolean);
+        parts.forEach((_, i) => folders.add(parts.slice(0, i + 1).join('/')));
+    });
+    return [...folders].sort();
+}
+
+/**
+ * Filter records
+ * @param {Array<Object>} records
+ * @param {Object} [filters]
+ * @param {string} [filters.query] - Matched against name, alt text, caption and folder
+ * @param {string|null} [filters.folder] - A folder and its subfolders; null for all
+ * @param {string} [filters.kind] - A MEDIA_KINDS key
+ * @returns {Array<Object>}
+ */
+export function filterMedia(records, filters = {}) {
+    const terms = String(filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const folder = filters.folder == null ? null : normalizeFolder(filters.folder);
+    const kind = MEDIA_KINDS[filters.kind];
+
+    return records.filter(record => {
+        if (folder !== null && folder !== '' && record.folder !== folder && !String(record.folder || '').startsWith(`${folder}/`)) {
+            return false;
+        }
+        if (folder === '' && record.folder) return false;
+        if (kind && !kind(record.type || '')) return false;
+
+        const haystack = [record.name, record.alt, record.caption, record.folder].join(' ').toLowerCase();
+        return terms.every(term => haystack.includes(term));
+    });
+}
+
+// Static page references from the build; none when the file is missing
+async function loadStaticReferences() {
+    try {
+        const response = await fetch(MEDIA_REFERENCES_URL);
+        return response.ok ? await response.json() : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Everything that can point at a media file: published pages, drafts,
+ * profiles and static pages (see cms-media-usage.js)
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} When Firestore cannot be read; usage would be incomplete
+ */
+export async function loadReferenceSources() {
+    const { db } = requireFirebase();
+    const [pages, drafts, profiles, statics] = await Promise.all([
+        getDocs(collection(db, 'pageContent')),
+        getDocs(collection(db, 'pageDrafts')),
+        getDocs(collection(db, 'profiles')),
+        loadStaticReferences()
+    ]);
+    const titles = Object.fromEntries(pages.docs.map(d => [d.id, d.data().name || d.id]));
+
+    return [
+        ...pages.docs.map(d => ({
+            kind: 'page',
+            id: d.id,
+            label: titles[d.id],
+            href: d.data().path || '',
+            text: JSON.stringify(d.data().sections || [])
+        })),
+        ...drafts.docs.map(d => ({
+            kind: 'draft',
+            id: d.id,
+            label: `${titles[d.id] || d.id} (draft)`,
+            href: '',
+            text: JSON.stringify(d.data().sections || [])
+        })),
+        ...profiles.docs.map(d => ({
+            kind: 'profile',
+            id: d.id,
+            label: `Profile: ${d.data().name || d.id}`,
+            href: '',
+            text: JSON.stringify(d.data())
+        })),
+        ...staticReferenceSources(statics)
+    ];
+}
@@ -0,0 +1,74 @@
+/**
+ * CMS Editing Presence
+ * Lets the content manager warn when another admin has the same page open.
+ *
+ *   pageEditors/{sessionId}   { pageId, user, seenAt }
+ *
+ * Every open editor refreshes its entry while the page stays open and
+ * removes it when it moves on. Entries that stop being refreshed (a
+ * crashed tab, a lost connection) are ignored once they are STALE_MS old.
+ */
+
+import { db } from '/src/services/firebase-config.js';
+import { collection, doc, setDoc, deleteDoc, query, where, onSnapshot } from 'firebase/firestore';
+
+const PRESENCE_COLLECTION = 'pageEditors';
+const HEARTBEAT_MS = 30000;
+const STALE_MS = 90000;
+
+// One id per browser tab
+const sessionId = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Announce that this tab is editing a page and follow who else is
+ * @param {string} pageId
+ * @param {Object} user - { id, email, name }
+ * @param {function(Array<{user: Object, seenAt: string}>)} onChange - Other
+ *   editors of the page, called whenever the list changes
+ * @returns {function()} Stops watching and removes this tab's entry
+ */
+export function watchPageEditors(pageId, user, onChange) {
+    if (!db) return () => {};
+
+    const ref = doc(db, PRESENCE_COLLECTION, sessionId);
+    let editors = [];
+    let last = '';
+
+    const report = () => {
+        const cutoff = Date.now() - STALE_MS;
+        const others = editors.filter(e => new Date(e.seenAt).getTime() > cutoff);
+        const signature = JSON.stringify(others.map(e => e.id));
+        if (signature === last) return;
+        last = signature;
+        onChange(others);
+    };
+
+    const heartbeat = () => {
+        setDoc(ref, { pageId, user: user || null, seenAt: new Date().toISOString() })
+            .catch(error => console.warn('[CMS] Could not update editing presence:', error.message));
+        report();
+    };
+
+    const unsubscribe = onSnapshot(
+        query(collection(db, PRESENCE_COLLECTION), where('pageId', '==', pageId)),
+        snapshot => {
+            editors = snapshot.docs.filter(d => d.id !== sessionId).map(d => ({ id: d.id, ...d.data() }));
+            report();
+        },
+        error => console.warn('[CMS] Editing presence unavailable:', error.message)
+    );
+
+    heartbeat();
+    const timer = setInterval(heartbeat, HEARTBEAT_MS);
+    const leave = () => deleteDoc(ref).catch(() => {});
+    window.addEventListener('pagehide', leave);
+
+    return () => {
+        clearInterval(timer);
+        unsubscribe();
+        window.removeEventListener('pagehide', leave);
+        leave();
+    };
+}
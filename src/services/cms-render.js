@@ -0,0 +1,75 @@
+/**
+ * CMS Rendering
+ * Turns section values and list items into HTML strings. Shared by
+ * cms-loader.js in the browser and the build-time prerender
+ * (scripts/cms-prerender.js), so a prerendered page and a hydrated one
+ * carry the same markup.
+ */
+
+import { escapeHtml, linkLabel, formatDateValue, formatNumberValue } from './cms-fields.js';
+import { renderMarkdown } from './cms-markdown.js';
+import { renderRichText, stripUnsafeUrls } from './cms-sanitize.js';
+import { renderTemplate } from './cms-template.js';
+
+/**
+ * Inner HTML for a data-cms element
+ * @param {Object} section
+ * @param {*} value - Section value (after schedule filtering)
+ * @param {string} [format] - data-cms-format of the element, for dates
+ * @returns {string|null} null for types that only set attributes (image, boolean)
+ */
+export function renderSectionHtml(section, value, format) {
+    switch (section.type) {
+        case 'richtext':
+            // Allow-listed formatting only; line breaks become <br>
+            return renderRichText(value);
+        case 'markdown':
+            return renderMarkdown(value);
+        case 'link':
+            return escapeHtml(linkLabel(value));
+        case 'date':
+            return escapeHtml(formatDateValue(value, format));
+        case 'number':
+            return escapeHtml(formatNumberValue(value));
+        case 'image':
+        case 'boolean':
+            // Images bind to src; booleans drive data-cms-if
+            return null;
+        default:
+            return escapeHtml(value ?? '');
+    }
+}
+
+/**
+ * Fill a list template for one item (see cms-template.js for the syntax).
+ * href/src attributes left with unsafe URLs are removed.
+ * @param {string} source - Template markup
+ * @param {Object} item
+ * @param {Object} [options] - Passed to renderTemplate (onUnknownField)
+ * @returns {string}
+ * @throws {TemplateError}
+ */
+export function fillTemplate(source, item, options) {
+    return stripUnsafeUrls(renderTemplate(source, item, options));
+}
+
+/**
+ * One bullet of a list without a template
+ * @param {Object} item
+ * @returns {string}
+ */
+export function renderListFallbackItem(item) {
+    if (item.title && item.description) {
+        return `<li><strong>${escapeHtml(item.title)}</strong>: ${escapeHtml(item.description)}</li>`;
+    }
+    return `<li>${escapeHtml(item.title || JSON.stringify(item))}</li>`;
+}
+
+/**
+ * Simple list rendering for lists without a template (titles as bullet points)
+ * @param {Array} items
+ * @returns {string}
+ */
+export function renderListFallback(items) {
+    return items.map(renderListFallbackItem).join('');
+}
@@ -0,0 +1,270 @@
+/**
+ * CMS Drafts & Revisions
+ * Draft / publish workflow for page content used by the content manager.
+ *
+ *   pageDrafts/{pageId}                      unpublished edits (never read by cms-loader.js)
+ *   pageContent/{pageId}                     the published document served to visitors
+ *   pageContent/{pageId}/revisions/{revId}   snapshot stored on every publish
+ *
+ * Authors are stored as { id, email, name } so the history can show who
+ * published what without another lookup.
+ *
+ * Saves and publishes are optimistic: the editor passes the head it loaded
+ * (the draft's updatedAt and the live page's lastModified) and the write is
+ * refused with an EditConflictError when either has changed since.
+ */
+
+import { db } from '/src/services/firebase-config.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    deleteDoc,
+    setDoc,
+    query,
+    orderBy,
+    limit,
+    onSnapshot,
+    runTransaction
+} from 'firebase/firestore';
+import { diffSections } from '/src/services/cms-diff.js';
+
+const DRAFTS_COLLECTION = 'pageDrafts';
+const PUBLISHED_COLLECTION = 'pageContent';
+const REVISIONS_SUBCOLLECTION = 'revisions';
+
+function requireDb() {
+    if (!db) throw new Error('Firestore is not configured');
+    return db;
+}
+
+/**
+ * Thrown when a page was saved or published by someone else after the
+ * editor loaded it. `current` is what is stored now.
+ */
+export class EditConflictError extends Error {
+    constructor(current) {
+        super('This page was changed by someone else after you opened it');
+        this.name = 'EditConflictError';
+        this.current = current;
+    }
+}
+
+/**
+ * The version of a page an editor is working from
+ * @param {Object|null} page - Published document
+ * @param {Object|null} draft - Draft document
+ * @returns {{draft: string|null, published: string|null}}
+ */
+export function pageHead(page, draft) {
+    return {
+        draft: (draft && draft.updatedAt) || null,
+        published: (page && page.lastModified) || null
+    };
+}
+
+/**
+ * @param {Object} a - From pageHead
+ * @param {Object} b - From pageHead
+ * @returns {boolean}
+ */
+export function sameHead(a, b) {
+    return a.draft === b.draft && a.published === b.published;
+}
+
+// Inside a transaction: refuse the write when the stored head moved on
+async function assertHead(transaction, pageId, expected) {
+    const firestore = requireDb();
+    const [pageSnap, draftSnap] = await Promise.all([
+        transaction.get(doc(firestore, PUBLISHED_COLLECTION, pageId)),
+        transaction.get(doc(firestore, DRAFTS_COLLECTION, pageId))
+    ]);
+    const page = pageSnap.exists() ? pageSnap.data() : null;
+    const draft = draftSnap.exists() ? draftSnap.data() : null;
+    const head = pageHead(page, draft);
+
+    if (expected && !sameHead(head, expected)) {
+        throw new EditConflictError({
+            head,
+            sections: (draft ? draft.sections : page && page.sections) || [],
+            updatedBy: draft ? draft.updatedBy : (page && page.publishedBy) || null,
+            updatedAt: head.draft || head.published,
+            source: draft ? 'draft' : 'published'
+        });
+    }
+
+    return { page, head };
+}
+
+/**
+ * Load the unpublished draft for a page
+ * @param {string} pageId
+ * @returns {Promise<Object|null>}
+ */
+export async function loadDraft(pageId) {
+    const snap = await getDoc(doc(requireDb(), DRAFTS_COLLECTION, pageId));
+    return snap.exists() ? snap.data() : null;
+}
+
+/**
+ * Save sections as the page's draft, replacing any earlier draft
+ * @param {string} pageId
+ * @param {Array} sections
+ * @param {Object} author - { id, email, name }
+ * @param {Object} [expected] - Head the editor loaded (pageHead); omit to save unconditionally
+ * @returns {Promise<Object>} The new head
+ * @throws {EditConflictError}
+ */
+export async function saveDraft(pageId, sections, author, expected) {
+    const draft = {
+        pageId,
+        sections,
+        updatedAt: new Date().toISOString(),
+        updatedBy: author || null
+    };
+
+    if (!expected) {
+        await setDoc(doc(requireDb(), DRAFTS_COLLECTION, pageId), draft);
+        return { draft: draft.updatedAt, published: null };
+    }
+
+    return runTransaction(requireDb(), async transaction => {
+        const { head } = await assertHead(transaction, pageId, expected);
+        transaction.set(doc(requireDb(), DRAFTS_COLLECTION, pageId), draft);
+        return { ...head, draft: draft.updatedAt };
+    });
+}
+
+/**
+ * Throw away the page's draft
+ * @param {string} pageId
+ */
+export async function discardDraft(pageId) {
+    await deleteDoc(doc(requireDb(), DRAFTS_COLLECTION, pageId));
+}
+
+/**
+ * Ids of all pages that currently have a draft
+ * @returns {Promise<Set<string>>}
+ */
+export async function listDraftIds() {
+    const snapshot = await getDocs(collection(requireDb(), DRAFTS_COLLECTION));
+    return new Set(snapshot.docs.map(d => d.id));
+}
+
+/**
+ * Publish sections: store a revision, update the live document and clear the draft
+ * @param {string} pageId
+ * @param {Array} sections
+ * @param {Object} author - { id, email, name }
+ * @param {Object} [extra] - Extra fields stored on the revision (e.g. rolledBackFrom)
+ * @param {Object} [expected] - Head the editor loaded (pageHead); omit to publish unconditionally
+ * @returns {Promise<{revisionId: string, diff: Array, head: Object}>}
+ * @throws {EditConflictError}
+ */
+export async function publishPage(pageId, sections, author, extra = {}, expected = null) {
+    const firestore = requireDb();
+    const pageRef = doc(firestore, PUBLISHED_COLLECTION, pageId);
+    const revisionRef = doc(collection(pageRef, REVISIONS_SUBCOLLECTION));
+
+    return runTransaction(firestore, async transaction => {
+        const { page } = await assertHead(transaction, pageId, expected);
+        const previousSections = (page && page.sections) || [];
+
+        const now = new Date().toISOString();
+        const diff = diffSections(previousSections, sections);
+
+        transaction.set(revisionRef, {
+            sections,
+            diff,
+            publishedAt: now,
+            publishedBy: author || null,
+            previousRevisionId: (page && page.revisionId) || null,
+            ...extra
+        });
+        transaction.set(pageRef, {
+            sections,
+            lastModified: now,
+            publishedBy: author || null,
+            revisionId: revisionRef.id
+        }, { merge: true });
+        transaction.delete(doc(firestore, DRAFTS_COLLECTION, pageId));
+
+        return { revisionId: revisionRef.id, diff, head: { draft: null, published: now } };
+    });
+}
+
+/**
+ * Follow the stored head of a page, to notice saves made elsewhere
+ * @param {string} pageId
+ * @param {function(Object, Object|null)} onChange - Called with the head and
+ *   the author of the latest change
+ * @returns {function()} Stops watching
+ */
+export function watchPageHead(pageId, onChange) {
+    const firestore = requireDb();
+    let page;
+    let draft;
+
+    const emit = () => {
+        if (page === undefined || draft === undefined) return;
+        onChange(pageHead(page, draft), draft ? draft.updatedBy : (page && page.publishedBy) || null);
+    };
+
+    const stopPage = onSnapshot(doc(firestore, PUBLISHED_COLLECTION, pageId), snap => {
+        page = snap.exists() ? snap.data() : null;
+        emit();
+    });
+    const stopDraft = onSnapshot(doc(firestore, DRAFTS_COLLECTION, pageId), snap => {
+        draft = snap.exists() ? snap.data() : null;
+        emit();
+    });
+
+    return () => {
+        stopPage();
+        stopDraft();
+    };
+}
+
+/**
+ * Most recent revisions for a page, newest first
+ * @param {string} pageId
+ * @param {number} [max]
+ * @returns {Promise<Array>}
+ */
+export async function listRevisions(pageId, max = 25) {
+    const revisionsRef = collection(requireDb(), PUBLISHED_COLLECTION, pageId, REVISIONS_SUBCOLLECTION);
+    const snapshot = await getDocs(query(revisionsRef, orderBy('publishedAt', 'desc'), limit(max)));
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Load one revision of a page
+ * @param {string} pageId
+ * @param {string} revisionId
+ * @returns {Promise<Object>}
+ */
+export async function loadRevision(pageId, revisionId) {
+    const revisionRef = doc(requireDb(), PUBLISHED_COLLECTION, pageId, REVISIONS_SUBCOLLECTION, revisionId);
+    const snap = await getDoc(revisionRef);
+    if (!snap.exists()) throw new Error(`Revision ${revisionId} not found`);
+    return { id: snap.id, ...snap.data() };
+}
+
+/**
+ * Re-publish the sections of an earlier revision. The rollback is itself
+ * recorded as a new revision, so it can be undone the same way. Like any
+ * publish it replaces the draft, so it is refused with an EditConflictError
+ * when the page changed after the editor loaded `expected`.
+ * @param {string} pageId
+ * @param {string} revisionId
+ * @param {Object} author - { id, email, name }
+ * @param {Object} expected - Head the editor loaded (pageHead)
+ * @returns {Promise<{revisionId: string, diff: Array, head: Object}>}
+ * @throws {EditConflictError}
+ */
+export async function rollbackToRevision(pageId, revisionId, author, expected) {
+    const revision = await loadRevision(pageId, revisionId);
+    return publishPage(pageId, revision.sections || [], author, { rolledBackFrom: revisionId }, expected);
+}
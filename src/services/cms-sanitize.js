@@ -0,0 +1,154 @@
+/**
+ * CMS HTML Sanitizer
+ * Allow-list sanitizer for richtext sections and raw template fields.
+ *
+ * Only simple formatting survives: b, strong, i, em, u, p, br, ul, ol, li
+ * and a (href, title, target="_blank"). Every other tag is removed but its
+ * text is kept; script, style and similar tags are removed with their
+ * content. Link targets must pass safeUrl().
+ *
+ * Works on strings rather than the DOM so the same rules apply in the browser
+ * (cms-loader.js) and at build time in Node.
+ */
+
+import { escapeHtml, safeUrl } from './cms-fields.js';
+
+const ALLOWED_TAGS = {
+    a: ['href', 'title', 'target'],
+    b: [],
+    strong: [],
+    i: [],
+    em: [],
+    u: [],
+    p: [],
+    br: [],
+    ul: [],
+    ol: [],
+    li: []
+};
+
+const VOID_TAGS = ['br'];
+const BLOCK_TAGS = ['p', 'ul', 'ol', 'li'];
+
+// Removed together with everything inside them
+const DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math'];
+
+const TOKEN_RE = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n', nbsp: ' ' };
+
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+        const lower = entity.toLowerCase();
+        if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16) || 0xfffd);
+        if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10) || 0xfffd);
+        return NAMED_ENTITIES[lower] ?? match;
+    });
+}
+
+// Escape text while keeping entities the author already wrote
+function escapeText(text) {
+    return text
+        .replace(/&(?!(#x[0-9a-f]+|#\d+|[a-z]+);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function renderAttributes(tag, rawAttributes) {
+    const allowed = ALLOWED_TAGS[tag];
+    const attrs = {};
+    let match;
+
+    ATTR_RE.lastIndex = 0;
+    while ((match = ATTR_RE.exec(rawAttributes)) !== null) {
+        const name = match[1].toLowerCase();
+        if (!allowed.includes(name)) continue;
+        attrs[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+
+    if ('href' in attrs) {
+        attrs.href = safeUrl(attrs.href);
+        if (!attrs.href) delete attrs.href;
+    }
+    if ('target' in attrs) {
+        if (attrs.target === '_blank') attrs.rel = 'noopener noreferrer';
+        else delete attrs.target;
+    }
+
+    return Object.entries(attrs).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+/**
+ * Reduce an HTML string to the allow-listed tags and attributes
+ * @param {string} html
+ * @returns {string}
+ */
+export function sanitizeHtml(html) {
+    const source = String(html ?? '');
+    const out = [];
+    const open = [];
+    let lastIndex = 0;
+    let match;
+
+    TOKEN_RE.lastIndex = 0;
+    while ((match = TOKEN_RE.exec(source)) !== null) {
+        out.push(escapeText(source.slice(lastIndex, match.index)));
+        lastIndex = TOKEN_RE.lastIndex;
+
+        const [token, closing, rawName, rawAttributes = ''] = match;
+        if (token.startsWith('<!--')) continue;
+
+        const tag = rawName.toLowerCase();
+
+        if (!closing && DROP_CONTENT_TAGS.includes(tag)) {
+            const end = source.toLowerCase().indexOf(`</${tag}`, lastIndex);
+            const close = end === -1 ? -1 : source.indexOf('>', end);
+            lastIndex = close === -1 ? source.length : close + 1;
+            TOKEN_RE.lastIndex = lastIndex;
+            continue;
+        }
+
+        if (!ALLOWED_TAGS[tag]) continue;
+
+        if (closing) {
+            // Close only tags we actually opened, including any left open inside
+            const at = open.lastIndexOf(tag);
+            if (at === -1) continue;
+            open.splice(at).reverse().forEach(t => out.push(`</${t}>`));
+        } else {
+            out.push(`<${tag}${renderAttributes(tag, rawAttributes)}>`);
+            if (!VOID_TAGS.includes(tag)) open.push(tag);
+        }
+    }
+
+    out.push(escapeText(source.slice(lastIndex)));
+    open.reverse().forEach(t => out.push(`</${t}>`));
+    return out.join('');
+}
+
+/**
+ * Render a richtext section value: sanitize, then turn line breaks into <br>
+ * (except next to block tags, where they are just formatting).
+ * @param {string} value
+ * @returns {string}
+ */
+export function renderRichText(value) {
+    const blocks = BLOCK_TAGS.join('|');
+    return sanitizeHtml(value)
+        .replace(new RegExp(`\\s*\\n\\s*(?=</?(${blocks})>)|(?<=</?(${blocks})>)\\s*\\n\\s*`, 'g'), '')
+        .replace(/\n/g, '<br>');
+}
+
+// Quoted or unquoted values; browsers also accept "/" before an attribute
+const URL_ATTR_RE = /[\s/](href|src)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+
+/**
+ * Remove href/src attributes whose URL does not pass safeUrl()
+ * @param {string} html
+ * @returns {string}
+ */
+export function stripUnsafeUrls(html) {
+    return html.replace(URL_ATTR_RE, (match, name, double, single, unquoted) =>
+        safeUrl(decodeEntities(double ?? single ?? unquoted ?? '')) ? match : match[0] === '/' ? '/' : '');
+}
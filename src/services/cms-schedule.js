@@ -0,0 +1,92 @@
+/**
+ * CMS Scheduling
+ * Sections and list items may carry optional publishAt / expiresAt ISO
+ * timestamps. Entries are only rendered between the two; either bound can be
+ * left out. Shared by cms-loader.js and the content manager's schedule view.
+ */
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Whether an entry has any schedule set
+ * @param {Object} entry - Section or list item
+ * @returns {boolean}
+ */
+export function hasSchedule(entry) {
+    return Boolean(entry && (parseDate(entry.publishAt) || parseDate(entry.expiresAt)));
+}
+
+/**
+ * Schedule state of a section or list item at a given time
+ * @param {Object} entry - Section or list item
+ * @param {Date} [now]
+ * @returns {'scheduled'|'live'|'expired'}
+ */
+export function scheduleState(entry, now = new Date()) {
+    const publishAt = parseDate(entry && entry.publishAt);
+    const expiresAt = parseDate(entry && entry.expiresAt);
+
+    if (publishAt && now < publishAt) return 'scheduled';
+    if (expiresAt && now >= expiresAt) return 'expired';
+    return 'live';
+}
+
+/**
+ * @param {Object} entry - Section or list item
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isLive(entry, now = new Date()) {
+    return scheduleState(entry, now) === 'live';
+}
+
+/**
+ * Drop list items that are not live
+ * @param {Array} items
+ * @param {Date} [now]
+ * @returns {Array}
+ */
+export function filterLive(items, now = new Date()) {
+    return items.filter(item => isLive(item, now));
+}
+
+/**
+ * Earliest future publishAt / expiresAt among sections and their list items,
+ * so an open page can re-render when something goes live or expires.
+ * @param {Array} sections
+ * @param {Date} [now]
+ * @returns {Date|null}
+ */
+export function nextScheduleChange(sections, now = new Date()) {
+    let next = null;
+
+    const consider = entry => {
+        [entry.publishAt, entry.expiresAt].forEach(value => {
+            const date = parseDate(value);
+            if (date && date > now && (!next || date < next)) next = date;
+        });
+    };
+
+    sections.forEach(section => {
+        consider(section);
+        if (section.type === 'list' && Array.isArray(section.value)) {
+            section.value.forEach(item => item && typeof item === 'object' && consider(item));
+        }
+    });
+
+    return next;
+}
+
+/**
+ * Whether any section or list item carries a schedule
+ * @param {Array} sections
+ * @returns {boolean}
+ */
+export function sectionsHaveSchedule(sections) {
+    return sections.some(section => hasSchedule(section) ||
+        (section.type === 'list' && Array.isArray(section.value) && section.value.some(hasSchedule)));
+}
@@ -0,0 +1,373 @@
+/**
+ * CMS Page Schemas
+ * Declares the sections each page document is expected to have: key, type,
+ * label, whether it is required and, for lists, the shape of an item.
+ *
+ *   item fields: { name, type: 'text' | 'longtext' | 'image' | 'url', required }
+ *
+ * The content manager builds its forms from these (so an empty list still
+ * knows its fields) and refuses to save or publish sections that do not
+ * validate. The seed page validates before writing, and
+ * scripts/check-cms-content.js checks the bundled JSON and every data-cms
+ * binding in pages/** against them.
+ *
+ * Add a section here before binding it in HTML or adding it to a document.
+ */
+
+import { SECTION_TYPES, imageSrc, linkHref } from './cms-fields.js';
+import { LOCALES } from './cms-locale.js';
+
+export const ITEM_FIELD_TYPES = ['text', 'longtext', 'image', 'url'];
+
+// List item keys that are metadata rather than declared fields
+const ITEM_META_FIELDS = ['id', 'publishAt', 'expiresAt'];
+
+export const PAGE_SCHEMAS = {
+    'home': {
+        name: 'Home',
+        path: 'index.html',
+        sections: [
+            { key: 'heroTitle', type: 'text', label: 'Hero Title', required: true },
+            { key: 'heroSubtitle', type: 'text', label: 'Hero Subtitle' },
+            { key: 'heroDescription', type: 'richtext', label: 'Hero Description' },
+            { key: 'quoteText', type: 'richtext', label: 'Featured Quote' },
+            { key: 'quoteAuthor', type: 'text', label: 'Quote Author' },
+            { key: 'aboutTitle', type: 'text', label: 'About Title' },
+            { key: 'aboutText1', type: 'richtext', label: 'About Paragraph 1' },
+            { key: 'aboutText2', type: 'richtext', label: 'About Paragraph 2' },
+            { key: 'aboutText3', type: 'richtext', label: 'About Paragraph 3' },
+            { key: 'ctaButtonText', type: 'text', label: 'CTA Button Text' },
+        ]
+    },
+    'events': {
+        name: 'Events',
+        path: 'events.html',
+        sections: [
+            { key: 'heroTitle', type: 'text', label: 'Hero Title', required: true },
+            { key: 'heroSubtitle', type: 'text', label: 'Hero Subtitle' },
+            { key: 'sectionTitle', type: 'text', label: 'Section Title' },
+            { key: 'sectionSubtitle', type: 'text', label: 'Section Subtitle' },
+            { key: 'events', type: 'list', label: 'Events',
+                item: [{ name: 'title', type: 'text', required: true }, { name: 'schedule', type: 'text' }, { name: 'description', type: 'longtext' }, { name: 'image', type: 'image' }] },
+            { key: 'eventDetailsTitle', type: 'text', label: 'Event Details Title' },
+            { key: 'locationName', type: 'text', label: 'Location Name' },
+            { key: 'locationAddress', type: 'text', label: 'Location Address' },
+            { key: 'locationCity', type: 'text', label: 'Location City' },
+            { key: 'locationNote', type: 'text', label: 'Location Note' },
+            { key: 'registrationTitle', type: 'text', label: 'Registration Title' },
+            { key: 'registrationText', type: 'text', label: 'Registration Text' },
+            { key: 'contactEmail', type: 'text', label: 'Contact Email' },
+            { key: 'registrationNote', type: 'text', label: 'Registration Note' },
+        ]
+    },
+    'become-a-member': {
+        name: 'Become a Member',
+        path: 'become-a-member.html',
+        sections: [
+            { key: 'heroTitle', type: 'text', label: 'Hero Title', required: true },
+            { key: 'heroSubtitle', type: 'text', label: 'Hero Subtitle' },
+            { key: 'introTitle', type: 'text', label: 'Introduction Title' },
+            { key: 'introText', type: 'richtext', label: 'Introduction Text' },
+        ]
+    },
+    'ethos-structure': {
+        name: 'Ethos & Structure',
+        path: 'per-ankh.html',
+        sections: [
+            { key: 'heroTitle', type: 'text', label: 'Hero Title', required: true },
+            { key: 'heroSubtitle', type: 'text', label: 'Hero Subtitle' },
+            { key: 'missionTitle', type: 'text', label: 'Mission Title' },
+            { key: 'missionText', type: 'richtext', label: 'Mission Text' },
+            { key: 'foundingTitle', type: 'text', label: 'Founding Members Title' },
+            { key: 'kilindiTribute', type: 'richtext', label: 'Kilindi Iyi Tribute' },
+            { key: 'foundingText', type: 'richtext', label: 'Founding Members Text' },
+            { key: 'eldersTitle', type: 'text', label: 'Seat of Elders Title' },
+            { key: 'eldersText', type: 'richtext', label: 'Seat of Elders Text' },
+            { key: 'studyGroupTitle', type: 'text', label: 'Study Group Title' },
+            { key: 'studyGroupText', type: 'richtext', label: 'Study Group Text' },
+            { key: 'studyGroupPrinciples', type: 'list', label: 'Study Group Principles',
+                item: [{ name: 'title', type: 'text', required: true }] },
+            { key: 'initiationTitle', type: 'text', label: 'Initiation Title' },
+            { key: 'initiationText', type: 'richtext', label: 'Initiation Text' },
+            { key: 'healingTitle', type: 'text', label: 'Healing Center Title' },
+            { key: 'healingText', type: 'richtext', label: 'Healing Center Text' },
+            { key: 'fastingTitle', type: 'text', label: 'Fasting Title' },
+            { key: 'fastingText', type: 'richtext', label: 'Fasting Text' },
+            { key: 'meditationTitle', type: 'text', label: 'Meditation Title' },
+            { key: 'meditationBenefits', type: 'list', label: 'Meditation Benefits',
+                item: [{ name: 'title', type: 'text', required: true }] },
+            { key: 'meditationTools', type: 'list', label: 'Meditation Tools',
+                item: [{ name: 'title', type: 'text', required: true }] },
+            { key: 'physicalTitle', type: 'text', label: 'Physical Activity Title' },
+            { key: 'physicalActivities', type: 'list', label: 'Physical Activities',
+                item: [{ name: 'title', type: 'text', required: true }] },
+        ]
+    },
+    'ceremony-safety': {
+        name: 'Ceremony and Safety',
+        path: 'ceremony-and-safety.html',
+        sections: [
+            { key: 'heroTitle', type: 'text', label: 'Hero Title', required: true },
+            { key: 'heroSubtitle', type: 'text', label: 'Hero Subtitle' },
+            { key: 'introText1', type: 'richtext', label: 'Introduction Paragraph 1' },
+            { key: 'introText2', type: 'richtext', label: 'Introduction Paragraph 2' },
+            { key: 'warningText', type: 'richtext', label: 'Safety Warning' },
+            { key: 'safetyTitle', type: 'text', label: 'Safety Section Title' },
+            { key: 'safetyItems', type: 'list', label: 'Safety Items',
+                item: [{ name: 'title', type: 'text', required: true }] },
+            { key: 'guidesTitle', type: 'text', label: 'Guides Section Title' },
+            { key: 'guidesItems', type: 'list', label: 'Available Guides',
+                item: [{ name: 'title', type: 'text', required: true }] },
+            { key: 'intentTitle', type: 'text', label: 'Setting Intent Title' },
+            { key: 'intentQuestions', type: 'list', label: 'Intent Questions',
+                item: [{ name: 'title', type: 'text', required: true }] },
+            { key: 'intentStatements', type: 'list', label: 'Intent Statements',
+                item: [{ name: 'title', type: 'text', required: true }] },
+            { key: 'intentText', type: 'richtext', label: 'Intent Description' },
+        ]
+    },
+    'donate': {
+        name: 'Donate',
+        path: 'donate.html',
+        sections: [
+            { key: 'heroTitle', type: 'text', label: 'Hero Title', required: true },
+            { key: 'heroSubtitle', type: 'text', label: 'Hero Subtitle' },
+            { key: 'introText', type: 'richtext', label: 'Introduction Text' },
+            { key: 'missionTitle', type: 'text', label: 'Mission Title' },
+            { key: 'missionItems', type: 'list', label: 'Mission Items',
+                item: [{ name: 'title', type: 'text', required: true }] },
+            { key: 'impactTitle', type: 'text', label: 'Impact Title' },
+            { key: 'impactText', type: 'richtext', label: 'Impact Text' },
+            { key: 'bookstoreTitle', type: 'text', label: 'Bookstore Title' },
+            { key: 'bookstoreSubtitle', type: 'text', label: 'Bookstore Subtitle' },
+            { key: 'books', type: 'list', label: 'Books',
+                item: [{ name: 'title', type: 'text', required: true }, { name: 'subtitle', type: 'text' }, { name: 'author', type: 'text' }, { name: 'price', type: 'text' }, { name: 'description', type: 'longtext' }, { name: 'image', type: 'image' }] },
+            { key: 'donationFormTitle', type: 'text', label: 'Donation Form Title' },
+            { key: 'gratitudeText', type: 'text', label: 'Gratitude Message' },
+            { key: 'hashtags', type: 'text', label: 'Hashtags' },
+        ]
+    },
+    'contact': {
+        name: 'Contact',
+        path: 'contact.html',
+        sections: [
+            { key: 'heroTitle', type: 'text', label: 'Hero Title', required: true },
+            { key: 'heroSubtitle', type: 'text', label: 'Hero Subtitle' },
+            { key: 'getInTouchTitle', type: 'text', label: 'Get In Touch Title' },
+            { key: 'address', type: 'text', label: 'Address' },
+            { key: 'email', type: 'text', label: 'Email' },
+            { key: 'connectTitle', type: 'text', label: 'Connect Section Title' },
+            { key: 'connectText', type: 'richtext', label: 'Connect Description' },
+            { key: 'contactFormTitle', type: 'text', label: 'Contact Form Title' },
+            { key: 'instagramUrl', type: 'text', label: 'Instagram URL' },
+            { key: 'facebookUrl', type: 'text', label: 'Facebook URL' },
+        ]
+    }
+};
+
+/**
+ * @param {string} pageId
+ * @returns {Object|null}
+ */
+export function getPageSchema(pageId) {
+    return PAGE_SCHEMAS[pageId] || null;
+}
+
+/**
+ * Item fields of a list section: declared ones, or guessed from the items
+ * for lists without a schema
+ * @param {Object|undefined} schemaSection
+ * @param {Array} items
+ * @returns {Array<{name: string, type: string, required?: boolean}>}
+ */
+export function listItemFields(schemaSection, items = []) {
+    if (schemaSection && Array.isArray(schemaSection.item)) return schemaSection.item;
+
+    const names = [];
+    items.forEach(item => Object.keys(item || {}).forEach(name => {
+        if (!ITEM_META_FIELDS.includes(name) && !names.includes(name)) names.push(name);
+    }));
+    if (names.length === 0) names.push('title');
+
+    return names.map(name => ({
+        name,
+        type: name === 'image' ? 'image' : (name === 'description' || name === 'bio' ? 'longtext' : 'text')
+    }));
+}
+
+/**
+ * Empty value for a new section of a given type
+ * @param {string} type
+ * @returns {*}
+ */
+export function defaultValue(type) {
+    switch (type) {
+        case 'list': return [];
+        case 'link': return { href: '', label: '' };
+        case 'number': return null;
+        case 'boolean': return false;
+        default: return '';
+    }
+}
+
+/**
+ * Sections in schema order, with declared sections the document lacks added
+ * empty and labels/types taken from the schema. Undeclared sections are
+ * kept at the end so validation can point them out.
+ * @param {Object|null} schema
+ * @param {Array} sections
+ * @returns {Array}
+ */
+export function applySchema(schema, sections = []) {
+    if (!schema) return sections;
+
+    const byKey = new Map(sections.map(s => [s.key, s]));
+    const declared = schema.sections.map(def => {
+        const existing = byKey.get(def.key);
+        return existing
+            ? { ...existing, type: def.type, label: def.label }
+            : { key: def.key, type: def.type, label: def.label, value: defaultValue(def.type) };
+    });
+
+    const keys = new Set(schema.sections.map(def => def.key));
+    return declared.concat(sections.filter(s => !keys.has(s.key)));
+}
+
+function isBlank(value) {
+    return value == null || (typeof value === 'string' && value.trim() === '') ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+// The part of a value that has to be filled in for a required section
+function filledValue(type, value) {
+    if (type === 'image') return imageSrc(value);
+    if (type === 'link') return linkHref(value);
+    return value;
+}
+
+// Problem with a value's shape for its type, or null
+function checkValueShape(type, value) {
+    if (value == null) return null;
+
+    switch (type) {
+        case 'text':
+        case 'richtext':
+        case 'markdown':
+            return typeof value === 'string' ? null : 'must be a string';
+        case 'number':
+            return typeof value === 'number' && !isNaN(value) ? null : 'must be a number';
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'date':
+            return value === '' || /^\d{4}-\d{2}-\d{2}$/.test(value) ? null : 'must be a date (YYYY-MM-DD)';
+        case 'image':
+            return typeof value === 'string' || (typeof value === 'object' && typeof value.src === 'string')
+                ? null : 'must be an image URL';
+        case 'link':
+            return typeof value === 'string' || (typeof value === 'object' && !Array.isArray(value))
+                ? null : 'must be a link ({ href, label })';
+        case 'list':
+            return Array.isArray(value) && value.every(item => item && typeof item === 'object' && !Array.isArray(item))
+                ? null : 'must be a list of items';
+        default:
+            return null;
+    }
+}
+
+function validateListItems(def, section, errors, warnings) {
+    const fields = def.item || [];
+    const names = fields.map(f => f.name);
+
+    section.value.forEach((item, i) => {
+        const where = `${section.key}[${i + 1}]`;
+        fields.forEach(field => {
+            if (field.required && isBlank(item[field.name])) {
+                errors.push({ key: section.key, message: `${where}: "${field.name}" is required` });
+            } else if (item[field.name] != null && typeof item[field.name] !== 'string') {
+                errors.push({ key: section.key, message: `${where}: "${field.name}" must be a string` });
+            }
+        });
+        Object.keys(item).forEach(name => {
+            if (!names.includes(name) && !ITEM_META_FIELDS.includes(name)) {
+                warnings.push({ key: section.key, message: `${where}: field "${name}" is not in the schema` });
+            }
+        });
+    });
+}
+
+/**
+ * Check sections against a page schema
+ * @param {Object|null} schema
+ * @param {Array} sections
+ * @returns {{errors: Array<{key: string, message: string}>, warnings: Array<{key: string, message: string}>}}
+ */
+export function validateSections(schema, sections) {
+    const errors = [];
+    const warnings = [];
+
+    if (!Array.isArray(sections)) {
+        errors.push({ key: '', message: 'sections must be a list' });
+        return { errors, warnings };
+    }
+
+    const seen = new Set();
+    sections.forEach(section => {
+        const { key, type } = section || {};
+        if (!key) {
+            errors.push({ key: '', message: 'a section has no key' });
+            return;
+        }
+        if (seen.has(key)) errors.push({ key, message: `"${key}" appears more than once` });
+        seen.add(key);
+
+        if (!SECTION_TYPES.includes(type)) {
+            errors.push({ key, message: `"${key}" has unknown type "${type}"` });
+            return;
+        }
+
+        const def = schema && schema.sections.find(d => d.key === key);
+        if (schema && !def) {
+            errors.push({ key, message: `"${key}" is not declared in the schema for ${schema.name}` });
+        } else if (def && def.type !== type) {
+            errors.push({ key, message: `"${key}" should be ${def.type}, not ${type}` });
+            return;
+        }
+
+        const shape = checkValueShape(type, section.value);
+        if (shape) {
+            errors.push({ key, message: `"${key}" ${shape}` });
+            return;
+        }
+
+        if (def && def.required && isBlank(filledValue(type, section.value))) {
+            errors.push({ key, message: `"${def.label || key}" is required` });
+        }
+        if (def && type === 'list' && Array.isArray(section.value)) validateListItems(def, section, errors, warnings);
+
+        Object.keys(section.translations || {}).forEach(locale => {
+            if (!LOCALES.some(l => l.code === locale)) {
+                warnings.push({ key, message: `"${key}" has a translation for unsupported locale "${locale}"` });
+            }
+        });
+    });
+
+    if (schema) {
+        schema.sections.forEach(def => {
+            if (seen.has(def.key)) return;
+            if (def.required) errors.push({ key: def.key, message: `"${def.label || def.key}" is required` });
+            else warnings.push({ key: def.key, message: `"${def.key}" is declared but missing` });
+        });
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Check a page document's sections against its declared schema
+ * @param {string} pageId
+ * @param {Array} sections
+ * @returns {{errors: Array, warnings: Array}}
+ */
+export function validatePage(pageId, sections) {
+    return validateSections(getPageSchema(pageId), sections);
+}
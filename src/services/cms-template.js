@@ -0,0 +1,299 @@
+/**
+ * CMS Templates
+ * The template language of <template data-cms-template> list items.
+ *
+ *   {{title}}                             escaped value
+ *   {{{description}}}                     HTML, sanitized to the richtext allow-list
+ *   {{venue.name}}                        dotted paths
+ *   {{date | date:"long"}}                filters, chained left to right
+ *   {{#if image}}...{{else}}...{{/if}}    {{#unless}} inverts the test
+ *   {{#each speakers}}{{name}}{{/each}}   {{this}} and {{@index}} inside the loop
+ *
+ * Filters: date:"short|medium|long|full|iso", currency:"USD",
+ * truncate:120, default:"TBA" and escape (which forces plain text, even
+ * inside triple braces).
+ *
+ * Inside {{#each}}, names resolve against the current entry first and then
+ * the enclosing item. Blocks go between or inside elements, never inside a
+ * tag's attribute list. Malformed templates, and filter arguments such as
+ * an unknown currency code, throw a TemplateError; fields
+ * that exist nowhere in the data are reported through onUnknownField.
+ */
+
+import { escapeHtml, formatDateValue, isTruthyValue } from './cms-fields.js';
+import { sanitizeHtml } from './cms-sanitize.js';
+
+export class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+const TAG_RE = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const PATH_RE = /^(this|\.|@index|[A-Za-z_$][\w$]*(\.[\w$]+)*)$/;
+
+// Output that is already safe HTML and must not be escaped again
+class SafeHtml {
+    constructor(html) {
+        this.html = html;
+    }
+}
+
+function isBlank(value) {
+    return value == null || (typeof value === 'string' && value.trim() === '');
+}
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full', 'iso'];
+
+function currencyFormat(code) {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: String(code) });
+    } catch {
+        throw new TemplateError(`Unknown currency "${code}"`);
+    }
+}
+
+const FILTERS = {
+    date: (value, style) => formatDateValue(value, style),
+    currency: (value, code = 'USD') => {
+        if (isBlank(value)) return '';
+        const digits = typeof value === 'number' ? String(value) : String(value).replace(/[^0-9.-]/g, '');
+        const number = Number(digits);
+        if (digits === '' || isNaN(number)) return value;
+        return currencyFormat(code).format(number);
+    },
+    truncate: (value, length = 100) => {
+        const text = String(value ?? '');
+        const max = Number(length);
+        return text.length > max ? `${text.slice(0, max).trimEnd()}…` : text;
+    },
+    default: (value, fallback = '') => isBlank(value) ? fallback : value,
+    escape: value => new SafeHtml(escapeHtml(value ?? ''))
+};
+
+export const TEMPLATE_FILTERS = Object.keys(FILTERS);
+
+// Argument checks, run when a template is compiled so a bad argument is a
+// TemplateError up front rather than a failure while rendering
+const FILTER_ARGS = {
+    date: style => {
+        if (style !== undefined && !DATE_STYLES.includes(style)) {
+            throw new TemplateError(`Unknown date style "${style}" (available: ${DATE_STYLES.join(', ')})`);
+        }
+    },
+    currency: code => {
+        if (code !== undefined) currencyFormat(code);
+    },
+    truncate: length => {
+        if (length !== undefined && !(Number(length) >= 0)) {
+            throw new TemplateError(`truncate needs a length, got "${length}"`);
+        }
+    }
+};
+
+// Serialized templates carry quotes inside attributes as entities
+function decodeExpression(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === separator) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts;
+}
+
+function parseArgument(raw) {
+    const text = raw.trim();
+    if (/^(["']).*\1$/.test(text)) return text.slice(1, -1);
+    if (text !== '' && !isNaN(Number(text))) return Number(text);
+    if (/^[\w-]+$/.test(text)) return text;
+    throw new TemplateError(`Filter arguments must be quoted strings or numbers, got ${text}`);
+}
+
+function parseExpression(text) {
+    const source = decodeExpression(text);
+    const [pathPart, ...filterParts] = splitOutsideQuotes(source, '|');
+    const path = pathPart.trim();
+
+    if (!PATH_RE.test(path)) throw new TemplateError(`Invalid field "${path}" in {{${source}}}`);
+
+    const filters = filterParts.map(part => {
+        const [name, ...args] = splitOutsideQuotes(part, ':');
+        const filter = name.trim();
+        if (!FILTERS[filter]) {
+            throw new TemplateError(`Unknown filter "${filter}" in {{${source}}} (available: ${TEMPLATE_FILTERS.join(', ')})`);
+        }
+        const values = args.map(parseArgument);
+        try {
+            FILTER_ARGS[filter]?.(...values);
+        } catch (error) {
+            throw new TemplateError(`${error.message} in {{${source}}}`);
+        }
+        return { name: filter, args: values };
+    });
+
+    return { path, filters };
+}
+
+function parse(source) {
+    const root = [];
+    const stack = [{ node: null, target: root }];
+    let lastIndex = 0;
+    let match;
+
+    TAG_RE.lastIndex = 0;
+    while ((match = TAG_RE.exec(source)) !== null) {
+        const top = stack[stack.length - 1];
+        if (match.index > lastIndex) top.target.push({ type: 'text', text: source.slice(lastIndex, match.index) });
+        lastIndex = TAG_RE.lastIndex;
+
+        if (match[1] !== undefined) {
+            top.target.push({ type: 'output', raw: true, ...parseExpression(match[1]) });
+            continue;
+        }
+
+        const body = match[2];
+        const open = body.match(/^#(if|unless|each)\s+([\s\S]+)$/);
+        const close = body.match(/^\/(if|unless|each)$/);
+
+        if (open) {
+            const node = { type: open[1], ...parseExpression(open[2]), children: [], inverse: [] };
+            if (node.filters.length) throw new TemplateError(`Filters are not allowed in {{#${open[1]}}}`);
+            top.target.push(node);
+            stack.push({ node, target: node.children });
+        } else if (close) {
+            if (!top.node) throw new TemplateError(`{{${body}}} has no matching {{#${close[1]}}}`);
+            if (top.node.type !== close[1]) throw new TemplateError(`Expected {{/${top.node.type}}} but found {{${body}}}`);
+            stack.pop();
+        } else if (body === 'else') {
+            if (!top.node) throw new TemplateError('{{else}} outside of an if, unless or each block');
+            top.target = top.node.inverse;
+        } else if (/^[#/]/.test(body)) {
+            throw new TemplateError(`Unknown block {{${body}}}`);
+        } else {
+            top.target.push({ type: 'output', raw: false, ...parseExpression(body) });
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1].node;
+        throw new TemplateError(`{{#${open.type} ${open.path}}} is never closed`);
+    }
+    if (lastIndex < source.length) root.push({ type: 'text', text: source.slice(lastIndex) });
+
+    return root;
+}
+
+function resolvePath(path, scopes, onUnknownField) {
+    const scope = scopes[scopes.length - 1];
+    if (path === 'this' || path === '.') return scope.value;
+    if (path === '@index') return scope.index;
+
+    const [head, ...rest] = path.split('.');
+    const owner = [...scopes].reverse().find(s => s.value && typeof s.value === 'object' && head in s.value);
+    if (!owner) {
+        onUnknownField(path);
+        return undefined;
+    }
+    return rest.reduce((value, key) => (value == null ? undefined : value[key]), owner.value[head]);
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : isTruthyValue(value);
+}
+
+function renderNodes(nodes, scopes, onUnknownField) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.text;
+
+        const value = resolvePath(node.path, scopes, onUnknownField);
+
+        if (node.type === 'if' || node.type === 'unless') {
+            const show = isTruthy(value) === (node.type === 'if');
+            return renderNodes(show ? node.children : node.inverse, scopes, onUnknownField);
+        }
+
+        if (node.type === 'each') {
+            if (!Array.isArray(value) || value.length === 0) return renderNodes(node.inverse, scopes, onUnknownField);
+            return value.map((entry, index) => renderNodes(node.children, [...scopes, { value: entry, index }], onUnknownField)).join('');
+        }
+
+        const output = node.filters.reduce(
+            (current, filter) => FILTERS[filter.name](current instanceof SafeHtml ? current.html : current, ...filter.args),
+            value
+        );
+        if (output instanceof SafeHtml) return output.html;
+
+        const text = output == null || typeof output === 'object' ? '' : String(output);
+        return node.raw ? sanitizeHtml(text) : escapeHtml(text);
+    }).join('');
+}
+
+const compiled = new Map();
+
+/**
+ * Parse a template once; later calls with the same source reuse the result
+ * @param {string} source
+ * @returns {Array} Parsed nodes
+ * @throws {TemplateError}
+ */
+export function compileTemplate(source) {
+    if (!compiled.has(source)) compiled.set(source, parse(source));
+    return compiled.get(source);
+}
+
+/**
+ * Render a template for one list item
+ * @param {string} source
+ * @param {Object} data - The list item
+ * @param {Object} [options]
+ * @param {function(string)} [options.onUnknownField] - Called with each path found nowhere in the data
+ * @returns {string}
+ * @throws {TemplateError}
+ */
+export function renderTemplate(source, data, options = {}) {
+    const onUnknownField = options.onUnknownField || (() => {});
+    return renderNodes(compileTemplate(source), [{ value: data }], onUnknownField);
+}
+
+/**
+ * Item fields a template reads directly (outside {{#each}} loops), for
+ * checking templates against list schemas
+ * @param {string} source
+ * @returns {string[]}
+ * @throws {TemplateError}
+ */
+export function templateFields(source) {
+    const fields = new Set();
+
+    const walk = nodes => nodes.forEach(node => {
+        if (node.type === 'text') return;
+        if (!/^(this|\.|@)/.test(node.path)) fields.add(node.path.split('.')[0]);
+        if (node.type === 'if' || node.type === 'unless') walk(node.children);
+        if (node.children) walk(node.inverse);
+    });
+
+    walk(compileTemplate(source));
+    return [...fields];
+}
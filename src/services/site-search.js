@@ -0,0 +1,191 @@
+/**
+ * Site Search
+ * Ranks and highlights results from the search index that the
+ * searchIndex() plugin in vite.config.js builds from the public pages and
+ * their CMS content (see scripts/search-index.js). Used by the search box
+ * in the SideNav; the index is only fetched once someone starts searching.
+ *
+ *   /search-index.json
+ *   { version: 1, generatedAt, entries: [{ path, anchor, page, heading, text }] }
+ *
+ * One entry per heading of each page; anchor is the heading's id (empty
+ * for text above the first heading), so path#anchor deep-links to it.
+ * Imported by Node as well as the browser: no DOM access at load time.
+ */
+
+import { escapeHtml } from './cms-fields.js';
+
+export const SEARCH_INDEX_URL = '/search-index.json';
+export const SEARCH_INDEX_VERSION = 1;
+
+const SNIPPET_LENGTH = 160;
+const MAX_PER_PAGE = 3;
+
+// Field weights: a hit in the page title counts most, body text least
+const WEIGHTS = { page: 8, heading: 5, text: 1 };
+
+let indexPromise = null;
+
+/**
+ * Lowercase and strip accents, so "cafe" finds "Café"
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Heading text -> id, as used for the anchors in the index
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+    return normalizeText(text)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60)
+        .replace(/-+$/, '');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function queryTerms(query) {
+    return [...new Set(normalizeText(query).split(/[^a-z0-9]+/).filter(Boolean))];
+}
+
+// Terms match at the start of a word; the last one may still be being typed
+function termPattern(term, isLast) {
+    return new RegExp(`\\b${escapeRegExp(term)}${isLast ? '' : '\\b'}`, 'g');
+}
+
+function countMatches(text, pattern) {
+    pattern.lastIndex = 0;
+    return (text.match(pattern) || []).length;
+}
+
+/**
+ * Fetch the search index (once per page load)
+ * @returns {Promise<Object>}
+ */
+export function loadSearchIndex() {
+    if (!indexPromise) {
+        indexPromise = fetch(SEARCH_INDEX_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`Search index request failed (${response.status})`);
+                return response.json();
+            })
+            .catch(error => {
+                indexPromise = null;
+                throw error;
+            });
+    }
+    return indexPromise;
+}
+
+/**
+ * Text around the first match, HTML-escaped, with the query terms in <mark>
+ * @param {string} text
+ * @param {string[]} terms - Normalized query terms
+ * @returns {string} HTML
+ */
+export function highlight(text, terms) {
+    const normalized = normalizeText(text);
+    // normalizeText keeps string length for precomposed characters, so
+    // positions in the normalized text line up with the original
+    const aligned = normalized.length === text.length;
+    let first = -1;
+
+    terms.forEach((term, i) => {
+        const pattern = termPattern(term, i === terms.length - 1);
+        const match = pattern.exec(normalized);
+        if (match && (first === -1 || match.index < first)) first = match.index;
+    });
+
+    let start = first > SNIPPET_LENGTH / 3 ? text.lastIndexOf(' ', first - SNIPPET_LENGTH / 3) + 1 : 0;
+    if (!aligned) start = 0;
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const snippet = text.slice(start, end);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    if (!aligned || terms.length === 0) return prefix + escapeHtml(snippet) + suffix;
+
+    const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})[a-z0-9]*`, 'g');
+    const normalizedSnippet = normalized.slice(start, end);
+    let html = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(normalizedSnippet)) !== null) {
+        html += escapeHtml(snippet.slice(last, match.index));
+        html += `<mark>${escapeHtml(snippet.slice(match.index, match.index + match[0].length))}</mark>`;
+        last = match.index + match[0].length;
+    }
+    html += escapeHtml(snippet.slice(last));
+
+    return prefix + html + suffix;
+}
+
+/**
+ * Search the index
+ * @param {Object} index - From loadSearchIndex
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit=8]
+ * @returns {Array<{url: string, page: string, heading: string, snippet: string, score: number}>}
+ *   Best first; every query term is matched somewhere in each result.
+ *   page is plain text; heading and snippet are HTML with the matches marked.
+ */
+export function searchSite(index, query, options = {}) {
+    const terms = queryTerms(query);
+    if (terms.length === 0 || !index || !Array.isArray(index.entries)) return [];
+
+    const phrase = normalizeText(query).trim();
+    const results = [];
+
+    index.entries.forEach(entry => {
+        const fields = {
+            page: normalizeText(entry.page),
+            heading: normalizeText(entry.heading),
+            text: normalizeText(entry.text)
+        };
+        let score = 0;
+
+        const matchesAll = terms.every((term, i) => {
+            const pattern = termPattern(term, i === terms.length - 1);
+            let termScore = 0;
+            Object.entries(fields).forEach(([field, text]) => {
+                // Repeated mentions help, but only up to a point
+                termScore += Math.min(countMatches(text, pattern), 5) * WEIGHTS[field];
+            });
+            score += termScore;
+            return termScore > 0;
+        });
+        if (!matchesAll) return;
+
+        if (terms.length > 1 && (fields.heading.includes(phrase) || fields.text.includes(phrase))) {
+            score *= 2;
+        }
+
+        results.push({
+            url: entry.anchor ? `${entry.path}#${entry.anchor}` : entry.path,
+            page: entry.page,
+            heading: highlight(entry.heading, terms),
+            snippet: highlight(entry.text || entry.heading, terms),
+            score
+        });
+    });
+
+    // A few sections per page at most, so one page cannot fill the list
+    const perPage = {};
+    return results
+        .sort((a, b) => b.score - a.score)
+        .filter(result => {
+            const path = result.url.split('#')[0];
+            perPage[path] = (perPage[path] || 0) + 1;
+            return perPage[path] <= MAX_PER_PAGE;
+        })
+        .slice(0, options.limit || 8);
+}
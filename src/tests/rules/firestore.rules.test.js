@@ -0,0 +1,491 @@
+/**
+ * firestore.rules: who may read and write each collection, and which
+ * fields a write may contain
+ */
+
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  addDoc, collection, deleteDoc, doc, getDoc, serverTimestamp, setDoc, updateDoc
+} from 'firebase/firestore';
+import { asMember, asStaff, author, seed, startRulesEnv } from './rules-env.js';
+
+let env;
+const now = new Date().toISOString();
+
+const db = context => context.firestore();
+const anonymous = () => env.unauthenticatedContext();
+const contentManager = () => asStaff(env, 'content_manager');
+const moderator = () => asStaff(env, 'moderator');
+const admin = () => asStaff(env, 'admin');
+const member = (uid = 'member-uid') => asMember(env, uid);
+
+beforeAll(async () => {
+  env = await startRulesEnv();
+});
+
+afterAll(async () => {
+  await env?.cleanup();
+});
+
+beforeEach(async () => {
+  await env.clearFirestore();
+});
+
+describe('pageContent', () => {
+  const page = (overrides = {}) => ({
+    pageId: 'home',
+    name: 'Home',
+    path: '/',
+    sections: [{ key: 'hero', fields: {} }],
+    lastModified: now,
+    publishedBy: author(),
+    revisionId: 'rev-1',
+    ...overrides,
+  });
+
+  it('is readable by anyone', async () => {
+    await seed(env, { 'pageContent/home': page() });
+    await assertSucceeds(getDoc(doc(db(anonymous()), 'pageContent/home')));
+  });
+
+  it('lets staff who publish write a page', async () => {
+    await assertSucceeds(setDoc(doc(db(contentManager()), 'pageContent/home'), page()));
+  });
+
+  it('lets a verified email account with a publishing role write a page', async () => {
+    const context = asMember(env, 'editor-uid', { role: 'content_manager' });
+    await assertSucceeds(setDoc(doc(db(context), 'pageContent/home'), page()));
+  });
+
+  it('refuses an unverified email account whatever its role', async () => {
+    const context = asMember(env, 'editor-uid', { verified: false, role: 'admin' });
+    await assertFails(setDoc(doc(db(context), 'pageContent/home'), page()));
+  });
+
+  it('refuses roles without content:publish', async () => {
+    await assertFails(setDoc(doc(db(moderator()), 'pageContent/home'), page()));
+    await assertFails(setDoc(doc(db(member()), 'pageContent/home'), page()));
+    await assertFails(setDoc(doc(db(anonymous()), 'pageContent/home'), page()));
+  });
+
+  it('refuses stray fields and a mismatched pageId', async () => {
+    await assertFails(setDoc(doc(db(contentManager()), 'pageContent/home'), page({ extra: true })));
+    await assertFails(setDoc(doc(db(contentManager()), 'pageContent/home'), page({ pageId: 'about' })));
+    await assertFails(setDoc(doc(db(contentManager()), 'pageContent/home'), page({ sections: 'hero' })));
+  });
+
+  it('lets only publishers delete a page', async () => {
+    await seed(env, { 'pageContent/home': page() });
+    await assertFails(deleteDoc(doc(db(member()), 'pageContent/home')));
+    await assertSucceeds(deleteDoc(doc(db(contentManager()), 'pageContent/home')));
+  });
+});
+
+describe('pageContent revisions', () => {
+  const path = 'pageContent/home/revisions/rev-1';
+  const revision = (overrides = {}) => ({
+    sections: [],
+    diff: [],
+    publishedAt: now,
+    publishedBy: author(),
+    previousRevisionId: 'rev-0',
+    ...overrides,
+  });
+
+  it('are readable by editors only', async () => {
+    await seed(env, { [path]: revision() });
+    await assertSucceeds(getDoc(doc(db(contentManager()), path)));
+    await assertFails(getDoc(doc(db(moderator()), path)));
+    await assertFails(getDoc(doc(db(anonymous()), path)));
+  });
+
+  it('can be created by publishers', async () => {
+    await assertSucceeds(setDoc(doc(db(contentManager()), path), revision()));
+    await assertSucceeds(setDoc(doc(db(contentManager()), 'pageContent/home/revisions/rev-2'), revision({ importedFrom: 'staging' })));
+    await assertFails(setDoc(doc(db(member()), path), revision()));
+  });
+
+  it('refuses stray fields', async () => {
+    await assertFails(setDoc(doc(db(contentManager()), path), revision({ note: 'x' })));
+    await assertFails(setDoc(doc(db(contentManager()), path), revision({ diff: 'x' })));
+  });
+
+  it('are never changed or deleted', async () => {
+    await seed(env, { [path]: revision() });
+    await assertFails(updateDoc(doc(db(admin()), path), { publishedAt: now }));
+    await assertFails(deleteDoc(doc(db(admin()), path)));
+  });
+});
+
+describe('pageDrafts', () => {
+  const draft = (overrides = {}) => ({
+    pageId: 'home',
+    sections: [],
+    updatedAt: now,
+    updatedBy: author(),
+    ...overrides,
+  });
+
+  it('can be saved, read and deleted by editors', async () => {
+    await assertSucceeds(setDoc(doc(db(contentManager()), 'pageDrafts/home'), draft()));
+    await assertSucceeds(getDoc(doc(db(contentManager()), 'pageDrafts/home')));
+    await assertSucceeds(deleteDoc(doc(db(contentManager()), 'pageDrafts/home')));
+  });
+
+  it('are hidden from everyone else', async () => {
+    await seed(env, { 'pageDrafts/home': draft() });
+    await assertFails(getDoc(doc(db(moderator()), 'pageDrafts/home')));
+    await assertFails(getDoc(doc(db(anonymous()), 'pageDrafts/home')));
+    await assertFails(setDoc(doc(db(member()), 'pageDrafts/home'), draft()));
+  });
+
+  it('must belong to the page they are stored under', async () => {
+    await assertFails(setDoc(doc(db(contentManager()), 'pageDrafts/home'), draft({ pageId: 'about' })));
+    await assertFails(setDoc(doc(db(contentManager()), 'pageDrafts/home'), draft({ publishedBy: author() })));
+  });
+});
+
+describe('pageEditors', () => {
+  const presence = (overrides = {}) => ({ pageId: 'home', user: author(), seenAt: now, ...overrides });
+
+  it('can be written and read by editors', async () => {
+    await assertSucceeds(setDoc(doc(db(contentManager()), 'pageEditors/tab-1'), presence()));
+    await assertSucceeds(getDoc(doc(db(contentManager()), 'pageEditors/tab-1')));
+  });
+
+  it('are closed to other roles', async () => {
+    await seed(env, { 'pageEditors/tab-1': presence() });
+    await assertFails(getDoc(doc(db(member()), 'pageEditors/tab-1')));
+    await assertFails(setDoc(doc(db(moderator()), 'pageEditors/tab-2'), presence()));
+  });
+
+  it('need a page and no stray fields', async () => {
+    await assertFails(setDoc(doc(db(contentManager()), 'pageEditors/tab-1'), presence({ pageId: '' })));
+    await assertFails(setDoc(doc(db(contentManager()), 'pageEditors/tab-1'), presence({ cursor: 1 })));
+  });
+});
+
+describe('pages', () => {
+  const entry = (overrides = {}) => ({ name: 'Home', path: '/', type: 'page', lastModified: now, ...overrides });
+
+  it('are readable by anyone', async () => {
+    await seed(env, { 'pages/home': entry() });
+    await assertSucceeds(getDoc(doc(db(anonymous()), 'pages/home')));
+  });
+
+  it('can be written by publishers only', async () => {
+    await assertSucceeds(setDoc(doc(db(contentManager()), 'pages/home'), entry()));
+    await assertFails(setDoc(doc(db(moderator()), 'pages/home'), entry()));
+    await assertFails(deleteDoc(doc(db(member()), 'pages/home')));
+  });
+
+  it('refuse stray fields', async () => {
+    await assertFails(setDoc(doc(db(contentManager()), 'pages/home'), entry({ owner: 'me' })));
+  });
+});
+
+describe('profiles', () => {
+  const profile = (overrides = {}) => ({ name: 'Jon', path: '/jon', title: 'Founder', bio: 'Bio', createdAt: now, ...overrides });
+
+  it('are readable by anyone', async () => {
+    await seed(env, { 'profiles/jon': profile() });
+    await assertSucceeds(getDoc(doc(db(anonymous()), 'profiles/jon')));
+  });
+
+  it('can be written by editors only', async () => {
+    await assertSucceeds(setDoc(doc(db(contentManager()), 'profiles/jon'), profile()));
+    await assertFails(setDoc(doc(db(member()), 'profiles/jon'), profile()));
+    await assertFails(setDoc(doc(db(anonymous()), 'profiles/jon'), profile()));
+  });
+
+  it('need a name and path', async () => {
+    await assertFails(setDoc(doc(db(contentManager()), 'profiles/jon'), profile({ name: '' })));
+    await assertFails(setDoc(doc(db(contentManager()), 'profiles/jon'), profile({ path: null })));
+  });
+
+  it('can be deleted by editors only', async () => {
+    await seed(env, { 'profiles/jon': profile() });
+    await assertFails(deleteDoc(doc(db(moderator()), 'profiles/jon')));
+    await assertSucceeds(deleteDoc(doc(db(contentManager()), 'profiles/jon')));
+  });
+});
+
+describe('media', () => {
+  const record = (overrides = {}) => ({
+    name: 'photo.jpg',
+    url: 'https://example.com/photo.jpg',
+    storagePath: 'media/events/1_photo.jpg',
+    size: 1024,
+    type: 'image/jpeg',
+    folder: 'events',
+    uploadDate: now,
+    uploadedBy: author(),
+    ...overrides,
+  });
+
+  it('is readable by anyone', async () => {
+    await seed(env, { 'media/photo': record() });
+    await assertSucceeds(getDoc(doc(db(anonymous()), 'media/photo')));
+  });
+
+  it('can be written by roles with media:manage', async () => {
+    await assertSucceeds(setDoc(doc(db(contentManager()), 'media/photo'), record()));
+    await assertFails(setDoc(doc(db(moderator()), 'media/photo'), record()));
+    await assertFails(setDoc(doc(db(member()), 'media/photo'), record()));
+  });
+
+  it('stays inside media/ and under the size limit', async () => {
+    await assertFails(setDoc(doc(db(contentManager()), 'media/photo'), record({ storagePath: 'private/photo.jpg' })));
+    await assertFails(setDoc(doc(db(contentManager()), 'media/photo'), record({ size: 10 * 1024 * 1024 + 1 })));
+    await assertFails(setDoc(doc(db(contentManager()), 'media/photo'), record({ url: '' })));
+  });
+
+  it('can be deleted by roles with media:manage', async () => {
+    await seed(env, { 'media/photo': record() });
+    await assertFails(deleteDoc(doc(db(moderator()), 'media/photo')));
+    await assertSucceeds(deleteDoc(doc(db(contentManager()), 'media/photo')));
+  });
+});
+
+describe('applications', () => {
+  const application = (overrides = {}) => ({
+    name: 'Ada',
+    email: 'ada@example.com',
+    message: 'Hello',
+    interests: ['events'],
+    status: 'pending',
+    submittedAt: now,
+    ...overrides,
+  });
+
+  it('can be submitted by anyone, as pending', async () => {
+    await assertSucceeds(addDoc(collection(db(anonymous()), 'applications'), application()));
+    await assertSucceeds(addDoc(collection(db(member()), 'applications'), application({ uid: 'member-uid' })));
+    await assertFails(addDoc(collection(db(anonymous()), 'applications'), application({ status: 'approved' })));
+  });
+
+  it('refuse bad emails, stray fields and someone else\'s uid', async () => {
+    await assertFails(addDoc(collection(db(anonymous()), 'applications'), application({ email: 'not-an-email' })));
+    await assertFails(addDoc(collection(db(anonymous()), 'applications'), application({ role: 'admin' })));
+    await assertFails(addDoc(collection(db(member()), 'applications'), application({ uid: 'other-uid' })));
+    await assertFails(addDoc(collection(db(anonymous()), 'applications'), application({ uid: 'member-uid' })));
+  });
+
+  it('are readable by their applicant and by staff who approve members', async () => {
+    await seed(env, { 'applications/a1': application({ uid: 'member-uid' }) });
+    await assertSucceeds(getDoc(doc(db(member()), 'applications/a1')));
+    await assertSucceeds(getDoc(doc(db(moderator()), 'applications/a1')));
+    await assertFails(getDoc(doc(db(member('other-uid')), 'applications/a1')));
+    await assertFails(getDoc(doc(db(contentManager()), 'applications/a1')));
+  });
+
+  it('can only have their review fields changed, by staff who approve members', async () => {
+    await seed(env, { 'applications/a1': application() });
+    const review = { status: 'approved', reviewedBy: author('moderator-uid'), reviewedAt: now };
+    await assertSucceeds(updateDoc(doc(db(moderator()), 'applications/a1'), review));
+    await assertFails(updateDoc(doc(db(moderator()), 'applications/a1'), { email: 'x@example.com' }));
+    await assertFails(updateDoc(doc(db(moderator()), 'applications/a1'), { status: 'cancelled' }));
+    await assertFails(updateDoc(doc(db(contentManager()), 'applications/a1'), review));
+  });
+
+  it('can be deleted by user managers only', async () => {
+    await seed(env, { 'applications/a1': application() });
+    await assertFails(deleteDoc(doc(db(moderator()), 'applications/a1')));
+    await assertSucceeds(deleteDoc(doc(db(admin()), 'applications/a1')));
+  });
+});
+
+describe('registrations', () => {
+  const registration = (overrides = {}) => ({
+    kind: 'vendor',
+    name: 'Ada',
+    email: 'ada@example.com',
+    organization: 'Ada Teas',
+    status: 'pending',
+    submittedAt: now,
+    ...overrides,
+  });
+
+  it('can be submitted by anyone, as pending', async () => {
+    await assertSucceeds(addDoc(collection(db(anonymous()), 'registrations'), registration()));
+    await assertSucceeds(addDoc(collection(db(anonymous()), 'registrations'), registration({ kind: 'event', eventId: 'gathering' })));
+    await assertFails(addDoc(collection(db(anonymous()), 'registrations'), registration({ status: 'approved' })));
+  });
+
+  it('need a known kind, and an event for event registrations', async () => {
+    await assertFails(addDoc(collection(db(anonymous()), 'registrations'), registration({ kind: 'sponsor' })));
+    await assertFails(addDoc(collection(db(anonymous()), 'registrations'), registration({ kind: 'event' })));
+  });
+
+  it('are readable by their registrant and by staff who approve members', async () => {
+    await seed(env, { 'registrations/r1': registration({ uid: 'member-uid' }) });
+    await assertSucceeds(getDoc(doc(db(member()), 'registrations/r1')));
+    await assertSucceeds(getDoc(doc(db(moderator()), 'registrations/r1')));
+    await assertFails(getDoc(doc(db(anonymous()), 'registrations/r1')));
+  });
+
+  it('can only have their review fields changed, by staff who approve members', async () => {
+    await seed(env, { 'registrations/r1': registration({ uid: 'member-uid' }) });
+    await assertSucceeds(updateDoc(doc(db(moderator()), 'registrations/r1'), { status: 'cancelled' }));
+    await assertFails(updateDoc(doc(db(member()), 'registrations/r1'), { status: 'cancelled' }));
+    await assertFails(updateDoc(doc(db(moderator()), 'registrations/r1'), { name: 'Eve' }));
+  });
+
+  it('can be deleted by user managers only', async () => {
+    await seed(env, { 'registrations/r1': registration() });
+    await assertFails(deleteDoc(doc(db(moderator()), 'registrations/r1')));
+    await assertSucceeds(deleteDoc(doc(db(admin()), 'registrations/r1')));
+  });
+});
+
+describe('notifications', () => {
+  const notification = (overrides = {}) => ({
+    title: 'Gathering',
+    body: 'Saturday at noon',
+    audience: 'members',
+    createdAt: now,
+    createdBy: author('moderator-uid'),
+    ...overrides,
+  });
+
+  it('can be sent by roles with notifications:send', async () => {
+    await assertSucceeds(setDoc(doc(db(moderator()), 'notifications/n1'), notification()));
+    await assertFails(setDoc(doc(db(contentManager()), 'notifications/n1'), notification()));
+    await assertFails(setDoc(doc(db(member()), 'notifications/n1'), notification()));
+  });
+
+  it('need a known audience and no stray fields', async () => {
+    await assertFails(setDoc(doc(db(moderator()), 'notifications/n1'), notification({ audience: 'everyone' })));
+    await assertFails(setDoc(doc(db(moderator()), 'notifications/n1'), notification({ priority: 1 })));
+  });
+
+  it('are readable by their audience', async () => {
+    await seed(env, {
+      'notifications/members': notification(),
+      'notifications/staff': notification({ audience: 'staff' }),
+    });
+    await assertSucceeds(getDoc(doc(db(member()), 'notifications/members')));
+    await assertFails(getDoc(doc(db(member()), 'notifications/staff')));
+    await assertSucceeds(getDoc(doc(db(contentManager()), 'notifications/staff')));
+    await assertFails(getDoc(doc(db(anonymous()), 'notifications/members')));
+    await assertFails(getDoc(doc(db(asMember(env, 'new-uid', { verified: false })), 'notifications/members')));
+  });
+
+  it('can be deleted by senders only', async () => {
+    await seed(env, { 'notifications/n1': notification() });
+    await assertFails(deleteDoc(doc(db(contentManager()), 'notifications/n1')));
+    await assertSucceeds(deleteDoc(doc(db(moderator()), 'notifications/n1')));
+  });
+});
+
+describe('settings', () => {
+  it('are readable by staff', async () => {
+    await seed(env, { 'settings/general': { siteName: 'Per Ankh' } });
+    await assertSucceeds(getDoc(doc(db(contentManager()), 'settings/general')));
+    await assertFails(getDoc(doc(db(member()), 'settings/general')));
+    await assertFails(getDoc(doc(db(anonymous()), 'settings/general')));
+  });
+
+  it('can be written by roles with settings:write', async () => {
+    await assertSucceeds(setDoc(doc(db(admin()), 'settings/general'), { siteName: 'Per Ankh' }));
+    await assertFails(setDoc(doc(db(contentManager()), 'settings/general'), { siteName: 'Per Ankh' }));
+    await assertFails(setDoc(doc(db(moderator()), 'settings/general'), { siteName: 'Per Ankh' }));
+  });
+
+  it('can be deleted by roles with settings:write', async () => {
+    await seed(env, { 'settings/general': { siteName: 'Per Ankh' } });
+    await assertFails(deleteDoc(doc(db(contentManager()), 'settings/general')));
+    await assertSucceeds(deleteDoc(doc(db(admin()), 'settings/general')));
+  });
+});
+
+describe('sessions', () => {
+  const session = (uid = 'content_manager-uid', overrides = {}) => ({
+    uid,
+    user: author(uid),
+    role: 'content_manager',
+    provider: 'clerk',
+    clerkSessionId: 'sess_123',
+    userAgent: 'Test',
+    startedAt: now,
+    lastSeenAt: now,
+    ...overrides,
+  });
+
+  it('can be started by staff for themselves', async () => {
+    await assertSucceeds(setDoc(doc(db(contentManager()), 'sessions/s1'), session()));
+    await assertFails(setDoc(doc(db(contentManager()), 'sessions/s1'), session('admin-uid')));
+    await assertFails(setDoc(doc(db(member()), 'sessions/s1'), session('member-uid')));
+    await assertFails(setDoc(doc(db(contentManager()), 'sessions/s1'), session(undefined, { revokedAt: now })));
+    await assertFails(setDoc(doc(db(contentManager()), 'sessions/s1'), session(undefined, { clerkSessionId: 123 })));
+  });
+
+  it('are readable by their owner and by user managers', async () => {
+    await seed(env, { 'sessions/s1': session() });
+    await assertSucceeds(getDoc(doc(db(contentManager()), 'sessions/s1')));
+    await assertSucceeds(getDoc(doc(db(admin()), 'sessions/s1')));
+    await assertFails(getDoc(doc(db(moderator()), 'sessions/s1')));
+  });
+
+  it('can be kept fresh by their owner until revoked', async () => {
+    await seed(env, {
+      'sessions/s1': session(),
+      'sessions/s2': session(undefined, { revokedAt: now, revokedBy: author('admin-uid') }),
+    });
+    await assertSucceeds(updateDoc(doc(db(contentManager()), 'sessions/s1'), { lastSeenAt: now }));
+    await assertFails(updateDoc(doc(db(contentManager()), 'sessions/s1'), { role: 'admin' }));
+    await assertFails(updateDoc(doc(db(contentManager()), 'sessions/s2'), { lastSeenAt: now }));
+  });
+
+  it('are revoked on the server only', async () => {
+    await seed(env, { 'sessions/s1': session() });
+    const revoke = { revokedAt: now, revokedBy: author('admin-uid') };
+    await assertFails(updateDoc(doc(db(contentManager()), 'sessions/s1'), revoke));
+    await assertFails(updateDoc(doc(db(admin()), 'sessions/s1'), revoke));
+  });
+
+  it('can be deleted by their owner and by user managers', async () => {
+    await seed(env, { 'sessions/s1': session(), 'sessions/s2': session() });
+    await assertFails(deleteDoc(doc(db(moderator()), 'sessions/s1')));
+    await assertSucceeds(deleteDoc(doc(db(contentManager()), 'sessions/s1')));
+    await assertSucceeds(deleteDoc(doc(db(admin()), 'sessions/s2')));
+  });
+});
+
+describe('auditLog', () => {
+  const entry = (uid = 'content_manager-uid', overrides = {}) => ({
+    action: 'content.publish',
+    target: 'home',
+    actorUid: uid,
+    actor: author(uid),
+    at: serverTimestamp(),
+    ...overrides,
+  });
+
+  it('takes entries from staff, as themselves, at the server time', async () => {
+    await assertSucceeds(addDoc(collection(db(contentManager()), 'auditLog'), entry()));
+    await assertFails(addDoc(collection(db(contentManager()), 'auditLog'), entry('admin-uid')));
+    await assertFails(addDoc(collection(db(contentManager()), 'auditLog'), entry(undefined, { at: new Date() })));
+    await assertFails(addDoc(collection(db(member()), 'auditLog'), entry('member-uid')));
+  });
+
+  it('is readable by user managers only', async () => {
+    await seed(env, { 'auditLog/e1': { action: 'content.publish', actorUid: 'content_manager-uid', at: new Date() } });
+    await assertSucceeds(getDoc(doc(db(admin()), 'auditLog/e1')));
+    await assertFails(getDoc(doc(db(contentManager()), 'auditLog/e1')));
+  });
+
+  it('is never changed or deleted', async () => {
+    await seed(env, { 'auditLog/e1': { action: 'content.publish', actorUid: 'admin-uid', at: new Date() } });
+    await assertFails(updateDoc(doc(db(admin()), 'auditLog/e1'), { action: 'other' }));
+    await assertFails(deleteDoc(doc(db(admin()), 'auditLog/e1')));
+  });
+});
+
+describe('other collections', () => {
+  it('are denied', async () => {
+    await assertFails(setDoc(doc(db(admin()), 'users/u1'), { role: 'owner' }));
+    await assertFails(getDoc(doc(db(admin()), 'users/u1')));
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Shared setup for the security rules specs: a test environment on the
+ * Firestore and Storage emulators (started by `npm run test:rules`) with
+ * firestore.rules and storage.rules loaded, and the people who sign in.
+ */
+
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+// demo- projects never reach a real Firebase project
+const PROJECT_ID = 'demo-perankh';
+
+/**
+ * @returns {Promise<import('@firebase/rules-unit-testing').RulesTestEnvironment>}
+ */
+export function startRulesEnv() {
+  return initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    storage: { rules: readFileSync('storage.rules', 'utf8') },
+  });
+}
+
+/**
+ * Staff as src/auth/firebase-bridge.js signs them in: a custom token for
+ * the Clerk user id with their role as a claim
+ * @param {Object} env
+ * @param {string} role
+ * @param {string} [uid]
+ */
+export function asStaff(env, role, uid = `${role}-uid`) {
+  return env.authenticatedContext(uid, { role });
+}
+
+/**
+ * A member on Firebase Auth (email and password)
+ * @param {Object} env
+ * @param {string} [uid]
+ * @param {{verified?: boolean, role?: string}} [options]
+ */
+export function asMember(env, uid = 'member-uid', { verified = true, role } = {}) {
+  return env.authenticatedContext(uid, {
+    email: `${uid}@example.com`,
+    email_verified: verified,
+    firebase: { sign_in_provider: 'password', identities: {} },
+    ...(role ? { role } : {}),
+  });
+}
+
+/**
+ * An author as the CMS stores them (currentAuthor())
+ * @param {string} [uid]
+ */
+export function author(uid = 'content_manager-uid') {
+  return { id: uid, email: `${uid}@example.com`, name: 'Test Author' };
+}
+
+/**
+ * Write documents with the rules off
+ * @param {Object} env
+ * @param {Object<string, Object>} docs - Document path → data
+ */
+export function seed(env, docs) {
+  return env.withSecurityRulesDisabled(async context => {
+    const db = context.firestore();
+    await Promise.all(Object.entries(docs).map(([path, data]) => setDoc(doc(db, path), data)));
+  });
+}
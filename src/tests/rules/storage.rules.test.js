@@ -0,0 +1,71 @@
+/**
+ * storage.rules: the media library is public to read and changed only by
+ * roles with media:manage; nothing else may be stored
+ */
+
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteObject, getMetadata, ref, uploadBytes } from 'firebase/storage';
+import { asMember, asStaff, startRulesEnv } from './rules-env.js';
+
+let env;
+const PATH = 'media/events/1700000000000_photo.png';
+const image = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+
+const upload = (context, path = PATH, contentType = 'image/png', data = image) =>
+  uploadBytes(ref(context.storage(), path), data, { contentType });
+
+beforeAll(async () => {
+  env = await startRulesEnv();
+});
+
+afterAll(async () => {
+  await env?.cleanup();
+});
+
+beforeEach(async () => {
+  await env.clearStorage();
+});
+
+async function seedFile(path = PATH) {
+  await env.withSecurityRulesDisabled(context => upload(context, path));
+}
+
+describe('media/', () => {
+  it('is readable by anyone', async () => {
+    await seedFile();
+    await assertSucceeds(getMetadata(ref(env.unauthenticatedContext().storage(), PATH)));
+  });
+
+  it('takes uploads from roles with media:manage', async () => {
+    await assertSucceeds(upload(asStaff(env, 'content_manager')));
+    await assertSucceeds(upload(asStaff(env, 'admin'), 'media/events/1700000000000_photo.png-960w.avif', 'image/avif'));
+    await assertSucceeds(upload(asMember(env, 'editor-uid', { role: 'content_manager' })));
+  });
+
+  it('refuses uploads from other roles and unverified accounts', async () => {
+    await assertFails(upload(asStaff(env, 'moderator')));
+    await assertFails(upload(asMember(env)));
+    await assertFails(upload(asMember(env, 'editor-uid', { verified: false, role: 'admin' })));
+    await assertFails(upload(env.unauthenticatedContext()));
+  });
+
+  it('refuses other file types and files over 10 MB', async () => {
+    const staff = asStaff(env, 'content_manager');
+    await assertFails(upload(staff, 'media/page.html', 'text/html'));
+    await assertFails(upload(staff, PATH, 'image/png', new Uint8Array(10 * 1024 * 1024 + 1)));
+  });
+
+  it('lets only roles with media:manage delete files', async () => {
+    await seedFile();
+    await assertFails(deleteObject(ref(asMember(env).storage(), PATH)));
+    await assertSucceeds(deleteObject(ref(asStaff(env, 'content_manager').storage(), PATH)));
+  });
+});
+
+describe('other paths', () => {
+  it('are denied', async () => {
+    await assertFails(upload(asStaff(env, 'owner'), 'uploads/photo.png'));
+    await assertFails(getMetadata(ref(asStaff(env, 'owner').storage(), 'uploads/photo.png')));
+  });
+});
@@ -1,57 +1,24 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import { loadContentPages, findPageForHtml, prerenderPage, mapVisibleHtml } from './scripts/cms-prerender.js';
+import { buildImageVariants } from './scripts/image-variants.js';
+import { buildMediaReferences } from './scripts/media-references.js';
+import { checkRoutes } from './scripts/routes.js';
+import { checkRules } from './scripts/rules.js';
+import { addHeadingIds, buildSearchIndex } from './scripts/search-index.js';
+import { routeRewrites, authCallbackRewrites, buildInputs } from './src/routes.js';
+import { SEARCH_INDEX_URL } from './src/services/site-search.js';
+import { IMAGE_MANIFEST_URL, applyResponsiveImages } from './src/services/cms-images.js';
+import { MEDIA_REFERENCES_URL } from './src/services/cms-media-usage.js';
 
-// Mirror of vercel.json rewrites — keeps dev server routes in sync with production
-const DEV_REWRITES = {
-  '/':                      '/pages/index.html',
-  '/admin':                 '/pages/admin/login.html',
-  '/admin/dashboard':       '/pages/admin/dashboard.html',
-  '/admin/users':           '/pages/admin/user-manager.html',
-  '/admin/content':         '/pages/admin/content-manager.html',
-  '/admin/analytics':       '/pages/admin/analytics.html',
-  '/admin/settings':        '/pages/admin/settings.html',
-  '/admin/notifications':   '/pages/admin/notifications.html',
-  '/admin/brand-identity':       '/pages/admin/internal/brand-identity.html',
-  '/admin/brand-identity-2':    '/pages/admin/internal/brand-identity-2.html',
-  '/admin/content-calendar':    '/pages/admin/internal/content-calendar.html',
-  '/admin/content-calendar-2':  '/pages/admin/internal/content-calendar-2.html',
-  '/admin/hiphop':              '/pages/admin/internal/hiphop.html',
-  '/admin/nft':                 '/pages/admin/internal/nft.html',
-  '/admin/per-ankh-tech':       '/pages/admin/internal/per-ankh-tech.html',
-  '/admin/prompts-1':           '/pages/admin/internal/prompts-1.html',
-  '/admin/prompts-2':           '/pages/admin/internal/prompts-2.html',
-  '/admin/prompts-3':           '/pages/admin/internal/prompts-3.html',
-  '/admin/shanna':              '/pages/admin/internal/shanna-2.html',
-  '/admin/target-audience':     '/pages/admin/internal/target-audience-profiles.html',
-  '/admin/youth-outreach':      '/pages/admin/internal/urban-youth-outreach.html',
-  '/per-ankh':              '/pages/programs/per-ankh.html',
-  '/community':             '/pages/community/community.html',
-  '/community-partnership': '/pages/community/partnership.html',
-  '/sacred-community':      '/pages/community/sacred-relationships.html',
-  '/women-empowerment':     '/pages/community/womens-empowerment.html',
-  '/events':                '/pages/events/events.html',
-  '/contact':               '/pages/support/contact.html',
-  '/donate':                '/pages/support/donate.html',
-  '/vendor-registration':   '/pages/support/vendor-registration.html',
-  '/member/login':          '/pages/member/login.html',
-  '/become-a-member':       '/pages/member/become-a-member.html',
-  '/test-clerk':            '/pages/test-clerk.html',
-  '/protocols':             '/pages/programs/protocols.html',
-  '/calculator':            '/pages/programs/calculator.html',
-  '/crystaltech':           '/pages/programs/crystaltech.html',
-  '/ceremony-and-safety':   '/pages/programs/ceremony-and-safety.html',
-  '/moudoubaqui':           '/pages/people/moudoubaqui.html',
-  '/jon':                   '/pages/people/jon.html',
-  '/shanna':                '/pages/people/shanna.html',
-};
+// Clean URL -> HTML file, from the route manifest (src/routes.js); vercel.json
+// gets the same rewrites through `npm run routes:sync`
+const DEV_REWRITES = routeRewrites();
 
 // Clerk auth sub-routes that should serve the parent login page.
 // When Clerk uses routing: 'path', it navigates to sub-paths like
 // /admin/factor-two, /admin/sso-callback, /member/login/factor-two, etc.
-const CLERK_AUTH_BASES = {
-  '/admin':        '/pages/admin/login.html',
-  '/member/login': '/pages/member/login.html',
-};
+const CLERK_AUTH_BASES = authCallbackRewrites();
 
 // Vite plugin: rewrites clean URLs to their HTML file paths during dev
 function devRewrites() {
@@ -81,13 +48,150 @@ function devRewrites() {
   };
 }
 
+// Vite plugin: checks the route manifest against pages/ and vercel.json.
+// Orphaned pages, dead routes and stale rewrites fail the build and are
+// reported as warnings by the dev server.
+function routeManifest() {
+  let command;
+
+  return {
+    name: 'route-manifest',
+    configResolved(config) {
+      command = config.command;
+    },
+    async buildStart() {
+      const problems = await checkRoutes(__dirname);
+      if (problems.length === 0) return;
+      if (command === 'build') this.error(`Route manifest problems:\n  ${problems.join('\n  ')}`);
+      problems.forEach(p => this.warn(p));
+    }
+  };
+}
+
+// Vite plugin: checks that firestore.rules and storage.rules still match the
+// permission matrix in src/auth/roles.js and cover every Firestore collection
+// the code uses; fails the build when they do not
+function securityRules() {
+  let command;
+
+  return {
+    name: 'security-rules',
+    configResolved(config) {
+      command = config.command;
+    },
+    async buildStart() {
+      const problems = await checkRules(__dirname);
+      if (problems.length === 0) return;
+      if (command === 'build') this.error(`Security rules problems:\n  ${problems.join('\n  ')}`);
+      problems.forEach(p => this.warn(p));
+    }
+  };
+}
+
+// CMS content baked into the build. Reads public/content by default; set
+// CMS_CONTENT_DIR to build from another directory in the same layout (e.g. a
+// Firestore export).
+const CMS_CONTENT_DIR = resolve(__dirname, process.env.CMS_CONTENT_DIR || 'public/content');
+
+// Vite plugin: bakes CMS content into data-cms elements of the built HTML
+function cmsPrerender() {
+  let pages = [];
+
+  return {
+    name: 'cms-prerender',
+    apply: 'build',
+    async buildStart() {
+      pages = await loadContentPages(CMS_CONTENT_DIR);
+    },
+    transformIndexHtml: {
+      order: 'pre',
+      handler(html, ctx) {
+        const page = findPageForHtml(pages, html, ctx.filename);
+        return page ? prerenderPage(html, page) : html;
+      }
+    }
+  };
+}
+
+// Vite plugin: site search. Gives headings ids to link to, and serves
+// (dev) or emits (build) the search index of the public pages.
+function searchIndex() {
+  const build = async () => JSON.stringify(await buildSearchIndex(__dirname, await loadContentPages(CMS_CONTENT_DIR)));
+
+  return {
+    name: 'search-index',
+    configureServer(server) {
+      server.middlewares.use(SEARCH_INDEX_URL, (_req, res, next) => {
+        build()
+          .then(json => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(json);
+          })
+          .catch(next);
+      });
+    },
+    transformIndexHtml(html) {
+      return addHeadingIds(html);
+    },
+    async generateBundle() {
+      this.emitFile({ type: 'asset', fileName: SEARCH_INDEX_URL.slice(1), source: await build() });
+    }
+  };
+}
+
+// Vite plugin: serves (dev) or emits (build) the media library files that
+// static pages point at, for the content manager's usage tracking
+function mediaReferences() {
+  const build = async () => JSON.stringify(await buildMediaReferences(__dirname));
+
+  return {
+    name: 'media-references',
+    configureServer(server) {
+      server.middlewares.use(MEDIA_REFERENCES_URL, (_req, res, next) => {
+        build()
+          .then(json => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(json);
+          })
+          .catch(next);
+      });
+    },
+    async generateBundle() {
+      this.emitFile({ type: 'asset', fileName: MEDIA_REFERENCES_URL.slice(1), source: await build() });
+    }
+  };
+}
+
+// Vite plugin: responsive images. Makes resized AVIF/WebP variants of
+// public/assets/images, gives the <img> tags that use them srcset, sizes and
+// a blur-up placeholder, and emits image-manifest.json for the content
+// manager. Build only: the dev server serves the originals.
+function responsiveImages() {
+  let variants = { manifest: {}, files: [] };
+
+  return {
+    name: 'responsive-images',
+    apply: 'build',
+    async buildStart() {
+      variants = await buildImageVariants(__dirname);
+    },
+    transformIndexHtml(html) {
+      return mapVisibleHtml(html, part => applyResponsiveImages(part, url => variants.manifest[url]));
+    },
+    generateBundle() {
+      variants.files.forEach(file => this.emitFile({ type: 'asset', fileName: file.fileName, source: file.source }));
+      this.emitFile({ type: 'asset', fileName: IMAGE_MANIFEST_URL.slice(1), source: JSON.stringify(variants.manifest) });
+    }
+  };
+}
+
 export default defineConfig(({ mode }) => ({
   root: '.',
   // Base path for deployment
   base: '/',
   publicDir: 'public',
   appType: 'mpa',
-  plugins: [devRewrites()],
+  plugins: [routeManifest(), securityRules(), devRewrites(), cmsPrerender(), searchIndex(), responsiveImages(), mediaReferences()],
 
   build: {
     outDir: 'dist',
@@ -96,50 +200,10 @@ export default defineConfig(({ mode }) => ({
     minify: 'esbuild',
     target: 'es2020',
     rollupOptions: {
-      input: {
-        main: resolve(__dirname, 'pages/index.html'),
-        adminDashboard: resolve(__dirname, 'pages/admin/dashboard.html'),
-        adminAnalytics: resolve(__dirname, 'pages/admin/analytics.html'),
-        adminContent: resolve(__dirname, 'pages/admin/content-manager.html'),
-        adminLogin: resolve(__dirname, 'pages/admin/login.html'),
-        adminNotifications: resolve(__dirname, 'pages/admin/notifications.html'),
-        adminSettings: resolve(__dirname, 'pages/admin/settings.html'),
-        adminUser: resolve(__dirname, 'pages/admin/user-manager.html'),
-        member: resolve(__dirname, 'pages/member/login.html'),
-        becomeMember: resolve(__dirname, 'pages/member/become-a-member.html'),
-        calculator: resolve(__dirname, 'pages/programs/calculator.html'),
-        ceremony: resolve(__dirname, 'pages/programs/ceremony-and-safety.html'),
-        community: resolve(__dirname, 'pages/community/community.html'),
-        partnership: resolve(__dirname, 'pages/community/partnership.html'),
-        contact: resolve(__dirname, 'pages/support/contact.html'),
-        crystal: resolve(__dirname, 'pages/programs/crystaltech.html'),
-        donate: resolve(__dirname, 'pages/support/donate.html'),
-        events: resolve(__dirname, 'pages/events/events.html'),
-        perAnkh: resolve(__dirname, 'pages/programs/per-ankh.html'),
-        protocols: resolve(__dirname, 'pages/programs/protocols.html'),
-        sacredRelationships: resolve(__dirname, 'pages/community/sacred-relationships.html'),
-        jon: resolve(__dirname, 'pages/people/jon.html'),
-        moudoubaqui: resolve(__dirname, 'pages/people/moudoubaqui.html'),
-        shanna: resolve(__dirname, 'pages/people/shanna.html'),
-        womensEmpowerment: resolve(__dirname, 'pages/community/womens-empowerment.html'),
-        adminBrandIdentity: resolve(__dirname, 'pages/admin/internal/brand-identity.html'),
-        adminBrandIdentity2: resolve(__dirname, 'pages/admin/internal/brand-identity-2.html'),
-        adminContentCalendar: resolve(__dirname, 'pages/admin/internal/content-calendar.html'),
-        adminContentCalendar2: resolve(__dirname, 'pages/admin/internal/content-calendar-2.html'),
-        adminHiphop: resolve(__dirname, 'pages/admin/internal/hiphop.html'),
-        adminNft: resolve(__dirname, 'pages/admin/internal/nft.html'),
-        adminPrompts1: resolve(__dirname, 'pages/admin/internal/prompts-1.html'),
-        adminPrompts2: resolve(__dirname, 'pages/admin/internal/prompts-2.html'),
-        adminPrompts3: resolve(__dirname, 'pages/admin/internal/prompts-3.html'),
-        adminShanna: resolve(__dirname, 'pages/admin/internal/shanna-2.html'),
-        adminTargetAudience: resolve(__dirname, 'pages/admin/internal/target-audience-profiles.html'),
-        adminYouthOutreach: resolve(__dirname, 'pages/admin/internal/urban-youth-outreach.html'),
-        modernizedDemo: resolve(__dirname, 'pages/misc/modernized-demo.html'),
-        testGithub: resolve(__dirname, 'pages/misc/test-github-pages.html'),
-        vendorRegistration: resolve(__dirname, 'pages/support/vendor-registration.html'),
-        seedDatabase: resolve(__dirname, 'pages/misc/seed-database.html'),
-        testClerk: resolve(__dirname, 'pages/test-clerk.html')
-      },
+      // One entry per page in the route manifest
+      input: Object.fromEntries(
+        Object.entries(buildInputs()).map(([name, file]) => [name, resolve(__dirname, file)])
+      ),
       output: {}
     },
     // Chunk size warning limit
@@ -153,7 +217,7 @@ export default defineConfig(({ mode }) => ({
     cors: true,
     headers: {
       'X-Content-Type-Options': 'nosniff',
-      'X-Frame-Options': 'DENY',
+      'X-Frame-Options': 'SAMEORIGIN',
       'X-XSS-Protection': '1; mode=block',
       'Referrer-Policy': 'strict-origin-when-cross-origin'
     }
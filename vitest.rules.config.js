@@ -0,0 +1,13 @@
+import { defineConfig } from 'vitest/config';
+
+// Security rules specs (src/tests/rules). They need the Firestore and
+// Storage emulators, so run them with `npm run test:rules`.
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['src/tests/rules/**/*.test.js'],
+    fileParallelism: false,
+    testTimeout: 10000,
+    hookTimeout: 30000
+  }
+});